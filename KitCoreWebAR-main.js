@@ -1,6 +1,13 @@
 import * as THREE from "https://cdn.jsdelivr.net/npm/three@0.127.0/build/three.module.js";
 import { GLTFLoader } from "https://cdn.jsdelivr.net/npm/three@0.127.0/examples/jsm/loaders/GLTFLoader.js";
 import { OrbitControls } from "https://cdn.jsdelivr.net/npm/three@0.127.0/examples/jsm/controls/OrbitControls.js";
+import { DRACOLoader } from "https://cdn.jsdelivr.net/npm/three@0.127.0/examples/jsm/loaders/DRACOLoader.js";
+import { KTX2Loader } from "https://cdn.jsdelivr.net/npm/three@0.127.0/examples/jsm/loaders/KTX2Loader.js";
+import { MeshoptDecoder } from "https://cdn.jsdelivr.net/npm/three@0.127.0/examples/jsm/libs/meshopt_decoder.module.js";
+import { SkeletonUtils } from "https://cdn.jsdelivr.net/npm/three@0.127.0/examples/jsm/utils/SkeletonUtils.js";
+import { RGBELoader } from "https://cdn.jsdelivr.net/npm/three@0.127.0/examples/jsm/loaders/RGBELoader.js";
+import { XREstimatedLight } from "https://cdn.jsdelivr.net/npm/three@0.127.0/examples/jsm/webxr/XREstimatedLight.js";
+import { USDZExporter } from "https://cdn.jsdelivr.net/npm/three@0.127.0/examples/jsm/exporters/USDZExporter.js";
 
 // Constants for configuration
 const MODES = {
@@ -8,14 +15,110 @@ const MODES = {
     FLOOR: 'floor',
     WALL: 'wall',
     GPS: 'gps',
-    ANCHORS: 'anchors'
+    ANCHORS: 'anchors',
+    IMAGE: 'image'
 };
 
+// Events dispatched by <kitcore-webar>. All of them bubble and cross the shadow boundary.
+//   ar-session-start    detail: { mode, session }
+//   ar-session-end      detail: { mode }
+//   model-load-progress detail: { src, loaded, total, progress }
+//   model-loaded        detail: { src, object }
+//   model-error         detail: { src, error }
+//   object-placed       detail: { object, position, quaternion, src }
+//   object-selected     detail: { object, src }
+//   object-removed      detail: { object, src }
+//   object-enter-range  detail: { object, lat, lon, distance, src, label }
+//   object-exit-range   detail: { object, lat, lon, distance, src, label }
+//   gps-update          detail: { latitude, longitude, accuracy, rawAccuracy, held }
+//   pois-loaded         detail: { count, errors: [{ index, id, message }] }
+//   pois-error          detail: { src, error }
+//   quick-look-banner-tapped detail: { src, usdz, element }
+//   ar-status-change    detail: { status, mode, capabilities }
+//   marker-tracked      detail: { name, marker, state, measuredWidth, objects }
+//   marker-emulated     detail: { name, marker, state, measuredWidth, objects }
+//   marker-lost         detail: { name, marker, state, measuredWidth, objects }
+// Dispatched by <kitcore-webar-object>, bubbling up to <kitcore-webar>:
+//   animation-finished  detail: { name, object }
+// Dispatched by <kitcore-webar-hotspot>, bubbling up to <kitcore-webar>:
+//   hotspot-click       detail: { position, normal, object }
+const EVENTS = {
+    SESSION_START: 'ar-session-start',
+    SESSION_END: 'ar-session-end',
+    MODEL_LOAD_PROGRESS: 'model-load-progress',
+    MODEL_LOADED: 'model-loaded',
+    MODEL_ERROR: 'model-error',
+    OBJECT_PLACED: 'object-placed',
+    OBJECT_SELECTED: 'object-selected',
+    OBJECT_REMOVED: 'object-removed',
+    OBJECT_ENTER_RANGE: 'object-enter-range',
+    OBJECT_EXIT_RANGE: 'object-exit-range',
+    GPS_UPDATE: 'gps-update',
+    POIS_LOADED: 'pois-loaded',
+    POIS_ERROR: 'pois-error',
+    ANIMATION_FINISHED: 'animation-finished',
+    HOTSPOT_CLICK: 'hotspot-click',
+    QUICK_LOOK_BANNER_TAPPED: 'quick-look-banner-tapped',
+    STATUS_CHANGE: 'ar-status-change',
+    MARKER_TRACKED: 'marker-tracked',
+    MARKER_EMULATED: 'marker-emulated',
+    MARKER_LOST: 'marker-lost'
+};
+
+// Values of the ar-status attribute, also exposed as custom states (:state(ready))
+const AR_STATUS = {
+    CHECKING: 'checking', // probing the device capabilities
+    READY: 'ready', // the requested mode is supported
+    FALLBACK: 'fallback', // running the first supported mode of the fallback chain
+    PRESENTING: 'presenting', // in a WebXR session
+    UNSUPPORTED: 'unsupported', // no mode of the chain is supported
+    FAILED: 'failed' // the session could not start and there is no mode left to fall back to
+};
+
+// Capabilities each mode needs, see KitCoreWebAR.probeCapabilities()
+const MODE_REQUIREMENTS = {
+    [MODES.VIEWER]: [],
+    [MODES.FLOOR]: ["immersiveAR", "hitTest"],
+    [MODES.WALL]: ["immersiveAR", "hitTest"],
+    [MODES.GPS]: ["immersiveAR", "hitTest", "geolocation"],
+    [MODES.ANCHORS]: ["immersiveAR", "anchors", "geolocation"],
+    [MODES.IMAGE]: ["immersiveAR", "imageTracking"]
+};
+
+// Values of the scene-viewer-mode attribute, passed to Scene Viewer as its mode parameter
+const SCENE_VIEWER_MODES = ["ar_preferred", "ar_only", "3d_only"];
+
+// Attributes of <kitcore-webar-object> that drive its animation clips
+const ANIMATION_ATTRIBUTES = ["autoplay", "animation-name", "animation-loop", "animation-speed"];
+
+// Attributes of <kitcore-webar-object> that require the loaded objects to be re-synced
+const OBJECT_ATTRIBUTES = ["src", "icon", "usdz", "lat", "lon", "distance", "altitude", "altitude-mode", "lookatuser", "marker"];
+
 const AR_CONFIG = { // Default config
     DETECTION_RADIUS: 10, // meters
+    HEADING_ACCURACY: 20, // degrees, worse readings ask the user to calibrate
+    MIN_GPS_ACCURACY: 30, // meters, worse fixes are held back
+    GPS_MOTION_NOISE: 0.05, // m² of variance added per meter walked, as tracked by WebXR
+    GPS_PROCESS_NOISE: 0.1, // m² of variance added per second
+    REANCHOR_DISTANCE: 2, // meters between an anchor and its corrected position before it is re-created
+    PREFETCH_RADIUS: 200, // meters, models of farther points of interest are not downloaded
+    MEMORY_BUDGET: 256, // MB of geometry and textures kept for points of interest out of range
+    SPATIAL_CELL_SIZE: 250, // meters, cell size of the points of interest grid
     MODEL_HEIGHT: 1.5,
     MODEL_SCALE: 0.5,
-    EARTH_RADIUS: 6378137 // meters
+    LABEL_HEIGHT: 0.25, // meters, height of the text labels of points of interest
+    ANIMATION_CROSSFADE: 0.3, // seconds
+    AUTO_ROTATE_DELAY: 3000, // ms without interaction before the viewer starts rotating
+    CAMERA_TRANSITION_DURATION: 600, // ms
+    SHADOW_OPACITY: 0.3,
+    OCCLUDER_RENDER_ORDER: -1000, // occluders are drawn before every virtual object
+    SHADOW_DISTANCE: 5, // meters, size of the area around the focused object that receives shadows
+    HOTSPOT_OCCLUSION_TOLERANCE: 0.01, // meters, model surface a hotspot may sit under before it is hidden
+    PERSIST_DELAY: 1000, // ms after the last change before the placement is saved
+    RELOCALIZATION_TIMEOUT: 10000, // ms to wait for a persistent anchor before asking the user to re-localize
+    LAYOUT_REFERENCE_DISTANCE: 0.2, // meters the second placed object must be from the first to orient saved placements
+    EARTH_RADIUS: 6378137, // meters
+    WGS84_FLATTENING: 1 / 298.257223563
 };
 
 class SceneManager {
@@ -25,6 +128,7 @@ class SceneManager {
         this.scene = null;
         this.camera = null;
         this.renderer = null;
+        this.clock = new THREE.Clock();
     }
 
     createScene(width, height, options = {}) {
@@ -49,6 +153,9 @@ class SceneManager {
             antialias: true
         });
         this.renderer.setSize(width, height);
+        this.renderer.outputEncoding = THREE.sRGBEncoding;
+        this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
         if (this.mode !== MODES.VIEWER) {
             this.renderer.xr.enabled = true;
@@ -60,302 +167,3278 @@ class SceneManager {
     }
 
     addLighting() {
+        this.defaultLights = new THREE.Group();
         const ambientLight = new THREE.AmbientLight(0xffffff, 0.8);
         const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
         directionalLight.position.set(5, 10, 5);
-        directionalLight.castShadow = true;
+        SceneManager.setupShadow(directionalLight);
+        this.defaultDirectionalLight = directionalLight;
+        this.directionalLight = directionalLight;
 
-        this.scene.add(ambientLight);
-        this.scene.add(directionalLight);
+        this.defaultLights.add(ambientLight);
+        this.defaultLights.add(directionalLight);
+        this.defaultLights.add(directionalLight.target);
+        this.scene.add(this.defaultLights);
         return this;
     }
 
-    setupResizeObserver() {
-        const resizeObserver = new ResizeObserver(() => {
-            this.camera.aspect = this.container.clientWidth / this.container.clientHeight;
-            this.camera.updateProjectionMatrix();
-            this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+    static setupShadow(light) {
+        const half = AR_CONFIG.SHADOW_DISTANCE / 2;
+        light.castShadow = true;
+        light.shadow.mapSize.set(1024, 1024);
+        light.shadow.camera.left = -half;
+        light.shadow.camera.right = half;
+        light.shadow.camera.top = half;
+        light.shadow.camera.bottom = -half;
+        // The estimated light sits one meter from its target, so the shadow camera also looks behind itself
+        light.shadow.camera.near = -AR_CONFIG.SHADOW_DISTANCE;
+        light.shadow.camera.far = AR_CONFIG.SHADOW_DISTANCE * 2;
+        light.shadow.bias = -0.0005;
+    }
+
+    // CSS color, "transparent", or the URL of an equirectangular image
+    setBackground(value) {
+        if (this.backgroundTexture) {
+            this.backgroundTexture.dispose();
+            this.backgroundTexture = null;
+        }
+        if (!value) {
+            this.scene.background = this.mode === MODES.VIEWER ? new THREE.Color(0xaaaaaa) : null;
+        } else if (value === "transparent") {
+            this.scene.background = null;
+        } else if (typeof CSS !== "undefined" && CSS.supports("color", value)) {
+            this.scene.background = new THREE.Color(value);
+        } else {
+            const texture = new THREE.TextureLoader().load(
+                value,
+                undefined,
+                undefined,
+                (error) => console.error(`Couldn't load the background ${value}:`, error)
+            );
+            texture.mapping = THREE.EquirectangularReflectionMapping;
+            texture.encoding = THREE.sRGBEncoding;
+            this.backgroundTexture = texture;
+            this.scene.background = texture;
+        }
+        return this;
+    }
+
+    // Drives the lights from WebXR light estimation (XRLightProbe) once the session provides it
+    enableLightEstimation() {
+        this.estimatedLight = new XREstimatedLight(this.renderer);
+        SceneManager.setupShadow(this.estimatedLight.directionalLight);
+        this.estimatedLight.add(this.estimatedLight.directionalLight.target);
+        this.estimatedLight.addEventListener("estimationstart", () => {
+            this.scene.remove(this.defaultLights);
+            this.scene.add(this.estimatedLight);
+            this.directionalLight = this.estimatedLight.directionalLight;
+            if (this.estimatedLight.environment) {
+                this.scene.environment = this.estimatedLight.environment;
+            }
+        });
+        this.estimatedLight.addEventListener("estimationend", () => {
+            this.scene.remove(this.estimatedLight);
+            this.scene.add(this.defaultLights);
+            this.directionalLight = this.defaultDirectionalLight;
+            this.scene.environment = this.environmentMap || null;
         });
-        resizeObserver.observe(this.container);
         return this;
     }
-}
 
-class ModelLoader {
-    constructor(scene) {
-        this.scene = scene;
-        this.loader = new GLTFLoader();
+    // Keeps the shadow camera around the given position, the shadow map only covers SHADOW_DISTANCE meters
+    setShadowFocus(position) {
+        if (this.estimatedLight && this.estimatedLight.parent) {
+            // The estimated light direction is relative to its group
+            this.estimatedLight.position.copy(position);
+        } else {
+            this.directionalLight.position.set(position.x + 5, position.y + 10, position.z + 5);
+            this.directionalLight.target.position.copy(position);
+        }
     }
 
-    loadModel(modelSrc, options = {}) {
+    // Equirectangular image (.hdr or a regular image) used for reflections and image-based lighting
+    loadEnvironment(url) {
+        const isHDR = /\.hdr($|\?)/i.test(url);
+        const loader = isHDR ? new RGBELoader().setDataType(THREE.UnsignedByteType) : new THREE.TextureLoader();
+        this.environmentUrl = url;
         return new Promise((resolve, reject) => {
-            this.loader.load(
-                modelSrc,
-                (gltf) => {
-                    const object = gltf.scene;
-                    object.scale.set(
-                        options.scale || AR_CONFIG.MODEL_SCALE,
-                        options.scale || AR_CONFIG.MODEL_SCALE,
-                        options.scale || AR_CONFIG.MODEL_SCALE
-                    );
-                    if (options.position) {
-                        object.position.set(
-                            options.position.x,
-                            options.position.y,
-                            options.position.z
-                        );
+            loader.load(
+                url,
+                (texture) => {
+                    if (!this.renderer || this.environmentUrl !== url) {
+                        // Disposed or replaced while loading
+                        texture.dispose();
+                        resolve(null);
+                        return;
                     }
-                    this.scene.add(object);
-                    resolve(object);
+                    if (!isHDR) {
+                        texture.encoding = THREE.sRGBEncoding;
+                    }
+                    const pmremGenerator = new THREE.PMREMGenerator(this.renderer);
+                    const environmentMap = pmremGenerator.fromEquirectangular(texture).texture;
+                    pmremGenerator.dispose();
+                    texture.dispose();
+                    if (this.environmentMap) {
+                        this.environmentMap.dispose();
+                    }
+                    this.environmentMap = environmentMap;
+                    // An estimated reflection map takes precedence in AR
+                    if (!this.estimatedLight || !this.estimatedLight.parent || !this.estimatedLight.environment) {
+                        this.scene.environment = environmentMap;
+                    }
+                    resolve(environmentMap);
                 },
                 undefined,
                 (error) => reject(error)
             );
         });
     }
-}
 
-class GeolocationManager {
-    static calculateDistance(lat1, lon1, lat2, lon2) {
-        const R = AR_CONFIG.EARTH_RADIUS;
-        const toRad = (deg) => deg * (Math.PI / 180);
-        const dLat = toRad(lat2 - lat1);
-        const dLon = toRad(lon2 - lon1);
-        const a =
-            Math.sin(dLat / 2) ** 2 +
-            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
-        return 2 * R * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    clearEnvironment() {
+        this.environmentUrl = null;
+        if (this.environmentMap) {
+            if (this.scene.environment === this.environmentMap) {
+                this.scene.environment = null;
+            }
+            this.environmentMap.dispose();
+            this.environmentMap = null;
+        }
     }
 
-    static convertGPSToMeters(lat, lon, refLat, refLon) {
-        const R = AR_CONFIG.EARTH_RADIUS;
-        const dLat = (lat - refLat) * (Math.PI / 180) * R;
-        const dLon = (lon - refLon) * (Math.PI / 180) * R * Math.cos((refLat * Math.PI) / 180);
-        return { x: dLon, z: -dLat };
+    setupResizeObserver() {
+        this.resizeObserver = new ResizeObserver(() => {
+            this.camera.aspect = this.container.clientWidth / this.container.clientHeight;
+            this.camera.updateProjectionMatrix();
+            this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+        });
+        this.resizeObserver.observe(this.container);
+        return this;
+    }
+
+    dispose() {
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        if (this.scene) {
+            this.clearEnvironment();
+            this.setBackground(null);
+            if (this.estimatedLight) {
+                this.scene.remove(this.estimatedLight);
+                this.estimatedLight.dispose();
+                this.estimatedLight = null;
+            }
+            ModelLoader.disposeObject(this.scene);
+            this.scene = null;
+        }
+        if (this.renderer) {
+            this.renderer.setAnimationLoop(null);
+            this.renderer.dispose();
+            this.renderer.domElement.remove();
+            this.renderer = null;
+        }
+        this.camera = null;
     }
 }
 
-function setupNativeTouchControls(placedObject, element, options = { rotateEnabled: true, scaleEnabled: true }) {
-    console.log('setupNativeTouchControls iniciado');
-    let initialTouchDistance = null;
-    let initialTouchAngle = null;
-    let initialScale = placedObject.scale.x;
-    let initialRotation = placedObject.rotation.y;
+// Parsed glTF files are shared between every ModelLoader: each URL is downloaded and parsed once
+// and every object gets its own clone, released when the last clone using it is disposed.
+class ModelLoader {
+    constructor(scene, renderer = null, options = {}) {
+        this.scene = scene;
+        this.options = { ...ModelLoader.config, ...options };
+        this.animationControllers = new Set();
+        this.loader = new GLTFLoader();
+        if (this.options.dracoDecoderPath) {
+            this.loader.setDRACOLoader(ModelLoader.getDRACOLoader(this.options.dracoDecoderPath));
+        }
+        if (this.options.meshopt) {
+            this.loader.setMeshoptDecoder(MeshoptDecoder);
+        }
+        if (this.options.ktx2TranscoderPath && renderer) {
+            // KTX2 transcoding targets depend on the GPU formats the renderer supports
+            this.ktx2Loader = new KTX2Loader()
+                .setTranscoderPath(this.options.ktx2TranscoderPath)
+                .detectSupport(renderer);
+            this.loader.setKTX2Loader(this.ktx2Loader);
+        }
+    }
 
-    function getDistance(t1, t2) {
-        const dx = t2.clientX - t1.clientX;
-        const dy = t2.clientY - t1.clientY;
-        return Math.sqrt(dx * dx + dy * dy);
+    // Defaults for the decoders of compressed glTF files, a null path disables them
+    static configure(options = {}) {
+        if (options.dracoDecoderPath !== undefined && options.dracoDecoderPath !== ModelLoader.config.dracoDecoderPath) {
+            const dracoLoader = ModelLoader.dracoLoaders.get(ModelLoader.config.dracoDecoderPath);
+            if (dracoLoader) {
+                dracoLoader.dispose();
+                ModelLoader.dracoLoaders.delete(ModelLoader.config.dracoDecoderPath);
+            }
+        }
+        Object.assign(ModelLoader.config, options);
+        return ModelLoader.config;
     }
 
-    function getAngle(t1, t2) {
-        const dx = t2.clientX - t1.clientX;
-        const dy = t2.clientY - t1.clientY;
-        return Math.atan2(dy, dx);
+    static getDRACOLoader(decoderPath) {
+        if (!ModelLoader.dracoLoaders.has(decoderPath)) {
+            ModelLoader.dracoLoaders.set(decoderPath, new DRACOLoader().setDecoderPath(decoderPath));
+        }
+        return ModelLoader.dracoLoaders.get(decoderPath);
     }
 
-    element.addEventListener("touchstart", (e) => {
-        if (e.touches.length === 2) {
-            e.preventDefault();
-            const touch1 = e.touches[0];
-            const touch2 = e.touches[1];
-            initialTouchDistance = getDistance(touch1, touch2);
-            initialTouchAngle = getAngle(touch1, touch2);
-            initialScale = placedObject.scale.x;
-            initialRotation = placedObject.rotation.y;
+    static resolveUrl(modelSrc) {
+        try {
+            return new URL(modelSrc, document.baseURI).href;
+        } catch (error) {
+            return modelSrc;
         }
-    }, { passive: false });
+    }
 
-    element.addEventListener("touchmove", (e) => {
-        if (e.touches.length === 2) {
-            e.preventDefault();
-            const touch1 = e.touches[0];
-            const touch2 = e.touches[1];
-            const currentDistance = getDistance(touch1, touch2);
-            const currentAngle = getAngle(touch1, touch2);
-
-            if (options.scaleEnabled && initialTouchDistance !== null) {
-                const scaleFactor = currentDistance / initialTouchDistance;
-                placedObject.scale.set(
-                    initialScale * scaleFactor,
-                    initialScale * scaleFactor,
-                    initialScale * scaleFactor
+    // Resolves with the shared glTF, fetching it unless it is cached or already being fetched
+    requestGLTF(modelSrc, onProgress) {
+        const key = ModelLoader.resolveUrl(modelSrc);
+        let entry = ModelLoader.cache.get(key);
+        if (!entry) {
+            // Material variants loaded on demand belong to the entry like the rest of the glTF
+            entry = { key, gltf: null, references: 0, progressListeners: new Set(), variantMaterials: new Set() };
+            entry.promise = new Promise((resolve, reject) => {
+                this.loader.load(
+                    key,
+                    (gltf) => {
+                        entry.gltf = gltf;
+                        entry.progressListeners.clear();
+                        resolve(gltf);
+                    },
+                    (xhr) => entry.progressListeners.forEach(listener => listener(xhr)),
+                    (error) => {
+                        ModelLoader.cache.delete(key);
+                        reject(error);
+                    }
                 );
+            });
+            ModelLoader.cache.set(key, entry);
+        }
+        entry.references++;
+        if (onProgress && !entry.gltf) {
+            entry.progressListeners.add(onProgress);
+        }
+        return entry.promise.then(
+            (gltf) => ({ gltf, key }),
+            (error) => {
+                entry.references--;
+                entry.progressListeners.delete(onProgress);
+                throw error;
             }
+        );
+    }
 
-            if (options.rotateEnabled && initialTouchAngle !== null) {
-                const angleDiff = currentAngle - initialTouchAngle;
-                placedObject.rotation.y = initialRotation - angleDiff;
-            }
+    static releaseGLTF(key) {
+        const entry = ModelLoader.cache.get(key);
+        if (!entry) {
+            return;
         }
-    }, { passive: false });
-
-    element.addEventListener("touchend", (e) => {
-        console.log('touchend', e.touches);
-        if (e.touches.length < 2) {
-            initialTouchDistance = null;
-            initialTouchAngle = null;
+        entry.references--;
+        if (entry.references <= 0) {
+            ModelLoader.cache.delete(key);
+            ModelLoader.disposeResources(ModelLoader.getEntryResources(entry));
         }
-    }, { passive: false });
-}
+    }
 
-class KitCoreWebAR extends HTMLElement {
-    constructor() {
-        super();
-        this.attachShadow({ mode: "open" });
-        this.container = document.createElement("div");
-        this.container.style.width = "100%";
-        this.container.style.height = "100%";
-        this.container.style.position = "relative";
-        this.container.style.touchAction = "none";
-        this.shadowRoot.appendChild(this.container);
+    static getEntryResources(entry) {
+        const resources = ModelLoader.getResources(entry.gltf.scene);
+        entry.variantMaterials.forEach(material => ModelLoader.addMaterialResources(material, resources));
+        return resources;
+    }
 
-        this.domOverlayContainer = document.createElement("div");
-        this.domOverlayContainer.id = "dom-overlay";
-        this.domOverlayContainer.style.display = "flex";
-        this.domOverlayContainer.style.justifyContent = "end";
-        this.domOverlayContainer.style.alignItems = "center";
-        this.domOverlayContainer.style.flexDirection = "column";
-        this.domOverlayContainer.style.color = "white";
-        this.domOverlayContainer.style.fontSize = "25px";
-        this.domOverlayContainer.style.paddingBottom = "50px";
-        this.domOverlayContainer.style.fontFamily = "Arial, sans-serif";
-        this.domOverlayContainer.style.textAlign = "center";
-        this.domOverlayContainer.style.touchAction = "none";
-        this.domOverlayContainer.style.display = "none";
-        this.shadowRoot.appendChild(this.domOverlayContainer);
+    static clearCache() {
+        ModelLoader.cache.forEach((entry) => {
+            if (entry.gltf) {
+                ModelLoader.disposeResources(ModelLoader.getEntryResources(entry));
+            }
+        });
+        ModelLoader.cache.clear();
+    }
 
-        this.rotateEnabled = this.getAttribute("rotate") !== "false";
-        this.scaleEnabled = this.getAttribute("scale") !== "false";
-        this.positionateEnabled = this.getAttribute("positionate") !== "false";
-        this.arEnabled = this.getAttribute("ar-enabled") !== "false";
+    loadModel(modelSrc, options = {}) {
+        return this.requestGLTF(modelSrc, options.onProgress).then(({ gltf, key }) => {
+            // SkeletonUtils rebinds the bones of skinned meshes to the cloned skeleton
+            const model = SkeletonUtils.clone(gltf.scene);
+            model.traverse((child) => {
+                if (child.isMesh) {
+                    child.castShadow = true;
+                }
+            });
+            // Native bounds, before any transform, used to fit the model to a real-world size
+            const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+            // Placement and gestures move the pivot, the model inside keeps its own transform
+            const object = new THREE.Group();
+            object.add(model);
+            // Kept outside userData, which three.js deep-copies through JSON when cloning
+            object.model = model;
+            object.gltf = { ...gltf, scene: model, scenes: [model] };
+            object.cacheKey = key;
+            object.materialController = new MaterialController(model, gltf, ModelLoader.cache.get(key).variantMaterials);
+            if (gltf.animations.length > 0) {
+                object.animationController = new AnimationController(model, gltf.animations);
+                this.animationControllers.add(object.animationController);
+            }
+            object.userData.size = size;
+            object.userData.defaultScale = options.scale || AR_CONFIG.MODEL_SCALE;
+            model.scale.setScalar(object.userData.defaultScale);
+            if (options.position) {
+                object.position.set(
+                    options.position.x,
+                    options.position.y,
+                    options.position.z
+                );
+            }
+            this.scene.add(object);
+            return object;
+        });
+    }
 
-        this.mode = this.getAttribute("mode") || MODES.VIEWER;
-        this.objects = [];
-        this.currentObjectIndex = 0;
-        this.autoGenerateButton = this.getAttribute("auto-button") !== "false";
-        this.init();
+    unloadModel(object) {
+        if (object.parent) {
+            object.parent.remove(object);
+        }
+        ModelLoader.disposeObject(object);
     }
 
-    init() {
-        // Always setup the AR button first
-        this.setupARButton();
+    // Advances the animations of every model loaded by this loader
+    update(delta) {
+        this.animationControllers.forEach((controller) => {
+            if (controller.disposed) {
+                this.animationControllers.delete(controller);
+                return;
+            }
+            controller.update(delta);
+        });
+    }
 
-        // Then initialize the appropriate mode
-        if (this.mode === MODES.VIEWER) {
-            this.initViewerMode();
+    dispose() {
+        this.animationControllers.clear();
+        if (this.ktx2Loader) {
+            this.ktx2Loader.dispose();
+            this.ktx2Loader = null;
         }
     }
 
-    setupARButton() {
-        this.userButton = document.querySelector("[kitcore-webar-button]");
-        if (!this.userButton && this.autoGenerateButton && this.mode !== MODES.VIEWER) {
-            this.createAutoButton();
-        } else if (this.userButton) {
-            this.userButton.addEventListener("click", () => {
-                if (this.mode === MODES.VIEWER) {
-                    // Don't proceed if AR is disabled
-                    if (!this.arEnabled) {
-                        return;
-                    }
-                    const objectElem = this.querySelector("kitcore-webar-object");
-                    if (!objectElem) {
-                        console.error("Couldn't find element <kitcore-webar-object>.");
-                        return;
-                    }
-                    const modelSrc = objectElem.getAttribute("src");
-                    const usdzSrc = objectElem.getAttribute("usdz");
-                    if (!modelSrc) {
-                        console.error("Attribute 'src' not defined in <kitcore-webar-object>.");
-                        return;
-                    }
-                    this.openSceneViewer(modelSrc, usdzSrc);
-                } else {
-                    this.requestWebXRSession();
-                }
-            });
-        }
+    static getResources(object) {
+        const resources = { geometries: new Set(), materials: new Set(), textures: new Set() };
+        object.traverse((child) => {
+            if (child.geometry) {
+                resources.geometries.add(child.geometry);
+            }
+            if (child.material) {
+                (Array.isArray(child.material) ? child.material : [child.material])
+                    .forEach(material => ModelLoader.addMaterialResources(material, resources));
+            }
+        });
+        return resources;
     }
 
-    createAutoButton() {
-        this.startButton = document.createElement("button");
-        this.startButton.innerText = "Start AR";
-        this.startButton.style.position = "absolute";
-        this.startButton.style.top = "20px";
-        this.startButton.style.left = "50%";
-        this.startButton.style.transform = "translateX(-50%)";
-        this.startButton.style.padding = "10px 20px";
-        this.startButton.style.fontSize = "16px";
-        this.startButton.style.background = "red";
-        this.startButton.style.color = "white";
-        this.startButton.style.border = "none";
-        this.startButton.style.cursor = "pointer";
-        document.body.appendChild(this.startButton);
+    static addMaterialResources(material, { materials, textures }) {
+        materials.add(material);
+        Object.values(material).forEach((value) => {
+            if (value && value.isTexture) {
+                textures.add(value);
+            }
+        });
+    }
 
-        this.startButton.addEventListener("click", () =>
-            this.requestWebXRSession()
+    static disposeResources({ geometries, materials, textures }, keep = null) {
+        const dispose = (resource) => {
+            if (!keep || !keep.has(resource)) {
+                resource.dispose();
+            }
+        };
+        geometries.forEach(dispose);
+        textures.forEach(dispose);
+        materials.forEach(dispose);
+    }
+
+    // Approximate GPU memory of the geometries and textures of an object, in bytes. The resources of its
+    // cached glTF are shared by every clone and left out, see estimateCacheMemory()
+    static estimateMemory(object) {
+        const entry = object.cacheKey ? ModelLoader.cache.get(object.cacheKey) : null;
+        const shared = entry && entry.gltf ? ModelLoader.getEntryResources(entry) : null;
+        const { geometries, textures } = ModelLoader.getResources(object);
+        return ModelLoader.measureResources(
+            [...geometries].filter(geometry => !shared || !shared.geometries.has(geometry)),
+            [...textures].filter(texture => !shared || !shared.textures.has(texture))
         );
     }
 
-    async requestWebXRSession() {
-        if (!navigator.xr) {
-            console.error("WebXR is not supported on this device.");
-            alert("Your device does not support WebXR.");
-            return;
+    // Approximate GPU memory of the resources shared by the clones of a cached glTF, in bytes
+    static estimateCacheMemory(key) {
+        const entry = ModelLoader.cache.get(key);
+        if (!entry || !entry.gltf) {
+            return 0;
         }
-        try {
-            console.log(`Attempting to start WebXR in mode: ${this.mode}`);
-            if (this.mode === MODES.VIEWER) {
-                this.openSceneViewer();
-                return;
+        const { geometries, textures } = ModelLoader.getEntryResources(entry);
+        return ModelLoader.measureResources(geometries, textures);
+    }
+
+    static measureResources(geometries, textures) {
+        let bytes = 0;
+        geometries.forEach((geometry) => {
+            Object.values(geometry.attributes).forEach((attribute) => {
+                bytes += attribute.array.byteLength;
+            });
+            if (geometry.index) {
+                bytes += geometry.index.array.byteLength;
             }
-            let sessionInit = {};
-            if (this.mode === MODES.ANCHORS) {
-                sessionInit = {
-                    requiredFeatures: ["local-floor", "anchors"],
-                    optionalFeatures: ["dom-overlay"],
-                    domOverlay: { root: this.domOverlayContainer }
-                };
-            } else {
-                sessionInit = {
-                    requiredFeatures: ["local-floor", "hit-test"],
-                    optionalFeatures: ["dom-overlay", "plane-detection"],
-                    domOverlay: { root: this.domOverlayContainer }
-                };
+        });
+        textures.forEach((texture) => {
+            const image = texture.image;
+            if (image && image.width && image.height) {
+                // RGBA plus a third for the mipmaps
+                bytes += image.width * image.height * 4 * (4 / 3);
             }
-            this.session = await navigator.xr.requestSession("immersive-ar", sessionInit);
-            this.domOverlayContainer.style.display = "flex";
-            console.log("WebXR activated.");
-            this.initScene();
-            if (this.startButton) this.startButton.remove();
-        } catch (error) {
-            console.error("Error activating WebXR:", error);
-            alert("Failed to activate WebXR. Please try again.");
-        }
+        });
+        return bytes;
     }
 
-    initScene() {
-        if (this.mode === MODES.VIEWER) {
-            this.initViewerMode();
+    static disposeObject(object) {
+        // Resources of cached models belong to the cache, which disposes them with the last clone
+        const shared = new Set();
+        object.traverse((child) => {
+            if (child.element) {
+                child.element.unbindObject(child);
+            }
+            if (child.animationController) {
+                child.animationController.dispose();
+                child.animationController = null;
+            }
+            if (child.materialController) {
+                // Puts the cached materials back and disposes the overridden ones
+                child.materialController.dispose();
+                child.materialController = null;
+            }
+            if (child.cacheKey) {
+                const { geometries, materials, textures } = ModelLoader.getResources(child.model);
+                [geometries, materials, textures].forEach(set => set.forEach(resource => shared.add(resource)));
+                ModelLoader.releaseGLTF(child.cacheKey);
+                child.cacheKey = null;
+            }
+        });
+        ModelLoader.disposeResources(ModelLoader.getResources(object), shared);
+    }
+}
+
+ModelLoader.cache = new Map();
+ModelLoader.dracoLoaders = new Map();
+ModelLoader.config = {
+    dracoDecoderPath: "https://cdn.jsdelivr.net/npm/three@0.127.0/examples/js/libs/draco/gltf/",
+    ktx2TranscoderPath: "https://cdn.jsdelivr.net/npm/three@0.127.0/examples/js/libs/basis/",
+    meshopt: true
+};
+
+// Instances filter the user position: a Kalman filter whose prediction step follows the
+// WebXR camera motion and whose correction step weights each GPS fix by its accuracy.
+class GeolocationManager {
+    constructor() {
+        this.latitude = null;
+        this.longitude = null;
+        this.variance = null; // m²
+        this.altitude = null; // meters, as reported by the Geolocation API
+        this.altitudeVariance = null;
+        this.lastUpdateTime = null;
+    }
+
+    hasPosition() {
+        return this.latitude !== null;
+    }
+
+    get accuracy() {
+        return this.variance === null ? null : Math.sqrt(this.variance);
+    }
+
+    predict(deltaEast, deltaNorth, deltaUp = 0) {
+        if (!this.hasPosition()) {
             return;
         }
-        // Create scene manager
-        this.sceneManager = new SceneManager(this.container, this.mode)
-            .createScene(window.innerWidth, window.innerHeight);
-        // Initialize model loader
-        this.modelLoader = new ModelLoader(this.sceneManager.scene);
-        // Add camera to scene
-        this.sceneManager.scene.add(this.sceneManager.camera);
-        // Handle different AR modes
-        if (this.mode === MODES.FLOOR || this.mode === MODES.WALL) {
-            if (this.mode === MODES.FLOOR) {
-                this.domOverlayContainer.innerText = "Move around to detect a surface";
-            } else {
-                this.domOverlayContainer.innerText = "Move to find a vertical surface";
-            }
-            this.enablePlacement();
+        const { lat, lon } = GeolocationManager.convertMetersToGPS(deltaEast, -deltaNorth, this.latitude, this.longitude);
+        this.latitude = lat;
+        this.longitude = lon;
+        this.variance += AR_CONFIG.GPS_MOTION_NOISE * Math.hypot(deltaEast, deltaNorth);
+        if (this.altitude !== null) {
+            this.altitude += deltaUp;
+            this.altitudeVariance += AR_CONFIG.GPS_MOTION_NOISE * Math.abs(deltaUp);
         }
-        if (this.mode === MODES.GPS) {
+    }
+
+    // Returns false when the fix is held back for being less accurate than minAccuracy
+    update(coords, timestamp, minAccuracy = AR_CONFIG.MIN_GPS_ACCURACY) {
+        if (!(coords.accuracy <= minAccuracy)) {
+            return false;
+        }
+        const measurementVariance = coords.accuracy ** 2;
+        const elapsed = this.hasPosition() ? Math.max(timestamp - this.lastUpdateTime, 0) / 1000 : 0;
+        this.lastUpdateTime = timestamp;
+        if (!this.hasPosition()) {
+            this.latitude = coords.latitude;
+            this.longitude = coords.longitude;
+            this.variance = measurementVariance;
+        } else {
+            this.variance += AR_CONFIG.GPS_PROCESS_NOISE * elapsed;
+            const gain = this.variance / (this.variance + measurementVariance);
+            this.latitude += gain * (coords.latitude - this.latitude);
+            this.longitude += gain * (coords.longitude - this.longitude);
+            this.variance *= 1 - gain;
+        }
+        if (coords.altitude !== null && coords.altitude !== undefined) {
+            // Not every device reports the altitude accuracy, vertical GPS error is usually worse than horizontal
+            const altitudeVariance = (coords.altitudeAccuracy || coords.accuracy * 1.5) ** 2;
+            if (this.altitude === null) {
+                this.altitude = coords.altitude;
+                this.altitudeVariance = altitudeVariance;
+            } else {
+                this.altitudeVariance += AR_CONFIG.GPS_PROCESS_NOISE * elapsed;
+                const gain = this.altitudeVariance / (this.altitudeVariance + altitudeVariance);
+                this.altitude += gain * (coords.altitude - this.altitude);
+                this.altitudeVariance *= 1 - gain;
+            }
+        }
+        return true;
+    }
+
+    static calculateDistance(lat1, lon1, lat2, lon2) {
+        const R = AR_CONFIG.EARTH_RADIUS;
+        const toRad = (deg) => deg * (Math.PI / 180);
+        const dLat = toRad(lat2 - lat1);
+        const dLon = toRad(lon2 - lon1);
+        const a =
+            Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 2 * R * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    // Initial great-circle bearing from the first point to the second, degrees clockwise from north
+    static calculateBearing(lat1, lon1, lat2, lon2) {
+        const toRad = (deg) => deg * (Math.PI / 180);
+        const dLon = toRad(lon2 - lon1);
+        const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+        const x =
+            Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+            Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+        return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+    }
+
+    // Point reached after travelling distance meters from lat/lon along bearing
+    static calculateDestination(lat, lon, bearing, distance) {
+        const toRad = (deg) => deg * (Math.PI / 180);
+        const angular = distance / AR_CONFIG.EARTH_RADIUS;
+        const lat1 = toRad(lat);
+        const theta = toRad(bearing);
+        const lat2 = Math.asin(
+            Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(theta)
+        );
+        const lon2 = toRad(lon) + Math.atan2(
+            Math.sin(theta) * Math.sin(angular) * Math.cos(lat1),
+            Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+        );
+        return {
+            lat: (lat2 * 180) / Math.PI,
+            lon: ((((lon2 * 180) / Math.PI) + 540) % 360) - 180
+        };
+    }
+
+    // WGS84 geodetic coordinates (degrees, meters above the ellipsoid) to Earth-centered Earth-fixed meters
+    static geodeticToECEF(lat, lon, altitude = 0) {
+        const a = AR_CONFIG.EARTH_RADIUS;
+        const f = AR_CONFIG.WGS84_FLATTENING;
+        const e2 = f * (2 - f);
+        const phi = lat * (Math.PI / 180);
+        const lambda = lon * (Math.PI / 180);
+        const N = a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+        return {
+            x: (N + altitude) * Math.cos(phi) * Math.cos(lambda),
+            y: (N + altitude) * Math.cos(phi) * Math.sin(lambda),
+            z: (N * (1 - e2) + altitude) * Math.sin(phi)
+        };
+    }
+
+    // East/north/up meters of a geodetic position on the plane tangent to the reference position
+    static geodeticToENU(lat, lon, altitude, refLat, refLon, refAltitude) {
+        const point = GeolocationManager.geodeticToECEF(lat, lon, altitude);
+        const ref = GeolocationManager.geodeticToECEF(refLat, refLon, refAltitude);
+        const dx = point.x - ref.x;
+        const dy = point.y - ref.y;
+        const dz = point.z - ref.z;
+        const phi = refLat * (Math.PI / 180);
+        const lambda = refLon * (Math.PI / 180);
+        return {
+            east: -Math.sin(lambda) * dx + Math.cos(lambda) * dy,
+            north: -Math.sin(phi) * Math.cos(lambda) * dx - Math.sin(phi) * Math.sin(lambda) * dy + Math.cos(phi) * dz,
+            up: Math.cos(phi) * Math.cos(lambda) * dx + Math.cos(phi) * Math.sin(lambda) * dy + Math.sin(phi) * dz
+        };
+    }
+
+    // Local XR axes: x east, y up, z south
+    static convertGPSToMeters(lat, lon, refLat, refLon, altitude = 0, refAltitude = 0) {
+        const { east, north, up } = GeolocationManager.geodeticToENU(lat, lon, altitude, refLat, refLon, refAltitude);
+        return { x: east, y: up, z: -north };
+    }
+
+    // Inverse of convertGPSToMeters for offsets of a few meters, using the WGS84 radii of curvature
+    static convertMetersToGPS(x, z, refLat, refLon) {
+        const a = AR_CONFIG.EARTH_RADIUS;
+        const f = AR_CONFIG.WGS84_FLATTENING;
+        const e2 = f * (2 - f);
+        const phi = refLat * (Math.PI / 180);
+        const w = 1 - e2 * Math.sin(phi) ** 2;
+        const meridianRadius = (a * (1 - e2)) / w ** 1.5;
+        const normalRadius = a / Math.sqrt(w);
+        return {
+            lat: refLat + (-z / meridianRadius) * (180 / Math.PI),
+            lon: refLon + (x / (normalRadius * Math.cos(phi))) * (180 / Math.PI)
+        };
+    }
+}
+
+// Uniform grid over latitude/longitude, so only the points of interest around the user are evaluated
+class SpatialIndex {
+    constructor(cellSize = AR_CONFIG.SPATIAL_CELL_SIZE) {
+        this.cellSize = cellSize; // meters
+        this.cells = new Map();
+        this.itemCells = new Map();
+    }
+
+    get size() {
+        return this.itemCells.size;
+    }
+
+    static get metersPerDegree() {
+        return (Math.PI / 180) * AR_CONFIG.EARTH_RADIUS;
+    }
+
+    getRow(lat) {
+        return Math.floor((lat * SpatialIndex.metersPerDegree) / this.cellSize);
+    }
+
+    // Cells get wider in degrees towards the poles so they stay roughly square
+    getCellWidth(row) {
+        const rowLat = ((row + 0.5) * this.cellSize) / SpatialIndex.metersPerDegree;
+        const cos = Math.max(Math.cos(Math.min(Math.abs(rowLat), 89) * (Math.PI / 180)), 0.01);
+        return this.cellSize / (SpatialIndex.metersPerDegree * cos);
+    }
+
+    getKey(lat, lon) {
+        const row = this.getRow(lat);
+        return `${row}:${Math.floor(lon / this.getCellWidth(row))}`;
+    }
+
+    insert(item) {
+        this.remove(item);
+        const key = this.getKey(item.lat, item.lon);
+        if (!this.cells.has(key)) {
+            this.cells.set(key, new Set());
+        }
+        this.cells.get(key).add(item);
+        this.itemCells.set(item, key);
+    }
+
+    remove(item) {
+        const key = this.itemCells.get(item);
+        if (key === undefined) {
+            return;
+        }
+        const cell = this.cells.get(key);
+        cell.delete(item);
+        if (cell.size === 0) {
+            this.cells.delete(key);
+        }
+        this.itemCells.delete(item);
+    }
+
+    clear() {
+        this.cells.clear();
+        this.itemCells.clear();
+    }
+
+    // Items in the cells overlapping the radius, callers filter them by exact distance
+    query(lat, lon, radius) {
+        const dLat = radius / SpatialIndex.metersPerDegree;
+        const maxAbsLat = Math.min(Math.abs(lat) + dLat, 89);
+        const dLon = radius / (SpatialIndex.metersPerDegree * Math.max(Math.cos(maxAbsLat * (Math.PI / 180)), 0.01));
+        const minRow = this.getRow(lat - dLat);
+        const maxRow = this.getRow(lat + dLat);
+        const results = [];
+        for (let row = minRow; row <= maxRow; row++) {
+            const width = this.getCellWidth(row);
+            const minCol = Math.floor((lon - dLon) / width);
+            const maxCol = Math.floor((lon + dLon) / width);
+            for (let col = minCol; col <= maxCol; col++) {
+                const cell = this.cells.get(`${row}:${col}`);
+                if (cell) {
+                    cell.forEach(item => results.push(item));
+                }
+            }
+        }
+        return results;
+    }
+}
+
+class HeadingManager {
+    constructor() {
+        this.heading = null; // compass heading of the camera, degrees clockwise from north
+        this.accuracy = null; // degrees, only reported by iOS
+        this.offset = null; // compass bearing of the local -Z axis
+        this.spread = null; // circular standard deviation of the offset samples
+        this.manual = false;
+        this.meanSin = 0;
+        this.meanCos = 0;
+        this.onOrientation = this.onOrientation.bind(this);
+    }
+
+    static requestPermission() {
+        // iOS only exposes the compass after an explicit permission prompt triggered by a user gesture
+        if (typeof DeviceOrientationEvent !== "undefined" && typeof DeviceOrientationEvent.requestPermission === "function") {
+            return DeviceOrientationEvent.requestPermission().catch((error) => {
+                console.error("Error requesting device orientation permission:", error);
+            });
+        }
+        return Promise.resolve();
+    }
+
+    start() {
+        window.addEventListener("deviceorientationabsolute", this.onOrientation);
+        window.addEventListener("deviceorientation", this.onOrientation);
+        return this;
+    }
+
+    stop() {
+        window.removeEventListener("deviceorientationabsolute", this.onOrientation);
+        window.removeEventListener("deviceorientation", this.onOrientation);
+    }
+
+    onOrientation(event) {
+        if (typeof event.webkitCompassHeading === "number") {
+            this.heading = event.webkitCompassHeading;
+            this.accuracy = event.webkitCompassAccuracy;
+        } else if ((event.type === "deviceorientationabsolute" || event.absolute) && event.alpha !== null) {
+            this.heading = HeadingManager.compassHeading(event.alpha, event.beta, event.gamma);
+        }
+    }
+
+    // Heading of the direction the rear camera points at, from the W3C DeviceOrientation spec
+    static compassHeading(alpha, beta, gamma) {
+        const toRad = (deg) => deg * (Math.PI / 180);
+        const x = toRad(beta || 0);
+        const y = toRad(gamma || 0);
+        const z = toRad(alpha || 0);
+        const vx = -Math.cos(z) * Math.sin(y) - Math.sin(z) * Math.sin(x) * Math.cos(y);
+        const vy = -Math.sin(z) * Math.sin(y) + Math.cos(z) * Math.sin(x) * Math.cos(y);
+        let heading = Math.atan(vx / vy);
+        if (vy < 0) {
+            heading += Math.PI;
+        } else if (vx < 0) {
+            heading += 2 * Math.PI;
+        }
+        return heading * (180 / Math.PI);
+    }
+
+    // Yaw of the camera in the XR space, degrees clockwise from -Z seen from above
+    static getYaw(quaternion) {
+        const direction = new THREE.Vector3(0, 0, -1).applyQuaternion(quaternion);
+        if (Math.abs(direction.y) > 0.8) {
+            // Pointing at the floor or the sky, the yaw is meaningless
+            return null;
+        }
+        return Math.atan2(direction.x, -direction.z) * (180 / Math.PI);
+    }
+
+    update(cameraQuaternion) {
+        if (this.manual || this.heading === null) {
+            return;
+        }
+        const yaw = HeadingManager.getYaw(cameraQuaternion);
+        if (yaw === null) {
+            return;
+        }
+        // The offset is constant for a given session, average it on the unit circle
+        const sample = (this.heading - yaw) * (Math.PI / 180);
+        const weight = this.offset === null ? 1 : 0.05;
+        this.meanSin += (Math.sin(sample) - this.meanSin) * weight;
+        this.meanCos += (Math.cos(sample) - this.meanCos) * weight;
+        this.offset = (Math.atan2(this.meanSin, this.meanCos) * (180 / Math.PI) + 360) % 360;
+        const resultantLength = Math.min(Math.sqrt(this.meanSin ** 2 + this.meanCos ** 2), 1);
+        this.spread = Math.sqrt(-2 * Math.log(resultantLength)) * (180 / Math.PI);
+    }
+
+    isReliable() {
+        if (this.manual) {
+            return true;
+        }
+        if (this.offset === null) {
+            return false;
+        }
+        if (typeof this.accuracy === "number") {
+            return this.accuracy >= 0 && this.accuracy <= AR_CONFIG.HEADING_ACCURACY;
+        }
+        return this.spread <= AR_CONFIG.HEADING_ACCURACY;
+    }
+
+    // Manual fallback: the user points the camera north
+    alignNorth(cameraQuaternion) {
+        const yaw = HeadingManager.getYaw(cameraQuaternion);
+        if (yaw === null) {
+            return false;
+        }
+        this.manual = true;
+        this.offset = (360 - yaw) % 360;
+        return true;
+    }
+
+    // Rotates a local east/north offset (x east, z south) so north matches the real north
+    align({ x, z }) {
+        const angle = (this.offset || 0) * (Math.PI / 180);
+        return {
+            x: x * Math.cos(angle) + z * Math.sin(angle),
+            z: -x * Math.sin(angle) + z * Math.cos(angle)
+        };
+    }
+
+    unalign({ x, z }) {
+        const angle = -(this.offset || 0) * (Math.PI / 180);
+        return {
+            x: x * Math.cos(angle) + z * Math.sin(angle),
+            z: -x * Math.sin(angle) + z * Math.cos(angle)
+        };
+    }
+
+    // Yaw in radians that turns a model's native forward towards the real north
+    get northRotation() {
+        return (this.offset || 0) * (Math.PI / 180);
+    }
+}
+
+class Reticle {
+    constructor(scene) {
+        this.scene = scene;
+        this.object = new THREE.Group();
+        this.object.visible = false;
+        this.scene.add(this.object);
+        this.setRing(0xffffff);
+    }
+
+    setRing(color) {
+        this.clear();
+        // Lies on the XZ plane, the surface normal of a hit pose is its Y axis
+        const ring = new THREE.Mesh(
+            new THREE.RingGeometry(0.08, 0.1, 32).rotateX(-Math.PI / 2),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.9, depthWrite: false })
+        );
+        this.object.add(ring);
+        return this;
+    }
+
+    setModel(model) {
+        this.clear();
+        this.object.add(model);
+        return this;
+    }
+
+    clear() {
+        [...this.object.children].forEach((child) => {
+            this.object.remove(child);
+            ModelLoader.disposeObject(child);
+        });
+    }
+
+    update(position, quaternion) {
+        if (!position) {
+            this.object.visible = false;
+            return;
+        }
+        this.object.position.copy(position);
+        this.object.quaternion.copy(quaternion);
+        this.object.visible = true;
+    }
+
+    dispose() {
+        this.clear();
+        this.scene.remove(this.object);
+    }
+}
+
+class PlaneVisualizer {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.planes = new Map();
+        this.renderOrder = options.renderOrder || 0;
+        this.material = options.material || new THREE.MeshBasicMaterial({
+            map: PlaneVisualizer.createGridTexture(),
+            transparent: true,
+            opacity: 0.35,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+    }
+
+    static createGridTexture() {
+        const canvas = document.createElement("canvas");
+        canvas.width = 64;
+        canvas.height = 64;
+        const context = canvas.getContext("2d");
+        context.strokeStyle = "white";
+        context.lineWidth = 2;
+        context.strokeRect(0, 0, canvas.width, canvas.height);
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
+        // One cell every 20 cm, shape UVs are in meters
+        texture.repeat.set(5, 5);
+        return texture;
+    }
+
+    update(frame, referenceSpace) {
+        const detectedPlanes = frame.detectedPlanes || (frame.worldInformation && frame.worldInformation.detectedPlanes);
+        if (!detectedPlanes) {
+            return;
+        }
+        this.planes.forEach((entry, plane) => {
+            if (!detectedPlanes.has(plane)) {
+                this.removePlane(plane);
+            }
+        });
+        detectedPlanes.forEach((plane) => {
+            let entry = this.planes.get(plane);
+            if (!entry || entry.lastChangedTime !== plane.lastChangedTime) {
+                if (entry) {
+                    this.removePlane(plane);
+                }
+                entry = { mesh: this.createMesh(plane.polygon), lastChangedTime: plane.lastChangedTime };
+                this.planes.set(plane, entry);
+                this.scene.add(entry.mesh);
+            }
+            const pose = frame.getPose(plane.planeSpace, referenceSpace);
+            if (pose) {
+                entry.mesh.matrix.fromArray(pose.transform.matrix);
+                entry.mesh.visible = true;
+            } else {
+                entry.mesh.visible = false;
+            }
+        });
+    }
+
+    createMesh(polygon) {
+        // The polygon lies on the XZ plane of the plane space
+        const shape = new THREE.Shape(polygon.map(point => new THREE.Vector2(point.x, -point.z)));
+        const geometry = new THREE.ShapeGeometry(shape).rotateX(-Math.PI / 2);
+        const mesh = new THREE.Mesh(geometry, this.material);
+        mesh.matrixAutoUpdate = false;
+        mesh.renderOrder = this.renderOrder;
+        return mesh;
+    }
+
+    removePlane(plane) {
+        const entry = this.planes.get(plane);
+        this.scene.remove(entry.mesh);
+        entry.mesh.geometry.dispose();
+        this.planes.delete(plane);
+    }
+
+    dispose() {
+        [...this.planes.keys()].forEach(plane => this.removePlane(plane));
+        if (this.material.map) {
+            this.material.map.dispose();
+        }
+        this.material.dispose();
+    }
+}
+
+// Hides virtual content behind real surfaces. Uses the WebXR depth buffer when the session
+// provides it (depth-sensing, CPU access), and the detected planes otherwise.
+class OcclusionManager {
+    constructor(scene, renderer, options = {}) {
+        this.scene = scene;
+        this.renderer = renderer;
+        this.debug = !!options.debug;
+        this.depthAvailable = null; // unknown until the first frame
+        this.depthTexture = null;
+        this.planeOccluder = null;
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                depthTexture: { value: null },
+                uvTransform: { value: new THREE.Matrix4() },
+                rawValueToMeters: { value: 0.001 },
+                floatDepth: { value: false },
+                projectionZ: { value: new THREE.Vector2() },
+                debug: { value: this.debug }
+            },
+            vertexShader: OcclusionManager.vertexShader,
+            fragmentShader: OcclusionManager.fragmentShader,
+            depthTest: true,
+            depthFunc: THREE.AlwaysDepth,
+            depthWrite: true,
+            colorWrite: this.debug,
+            extensions: { fragDepth: true }
+        });
+        this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+        this.mesh.frustumCulled = false;
+        // Drawn before any virtual object so they are depth tested against the real world
+        this.mesh.renderOrder = AR_CONFIG.OCCLUDER_RENDER_ORDER;
+        this.mesh.visible = false;
+        this.mesh.onBeforeRender = (renderer, scene, camera) => {
+            const elements = camera.projectionMatrix.elements;
+            this.material.uniforms.projectionZ.value.set(elements[10], elements[14]);
+        };
+        this.scene.add(this.mesh);
+    }
+
+    static get sessionInit() {
+        return {
+            usagePreference: ["cpu-optimized"],
+            dataFormatPreference: ["luminance-alpha", "float32"]
+        };
+    }
+
+    setDebug(debug) {
+        this.debug = debug;
+        this.material.uniforms.debug.value = debug;
+        this.material.colorWrite = debug;
+    }
+
+    update(frame, referenceSpace) {
+        if (this.depthAvailable !== false && this.updateDepth(frame, referenceSpace)) {
+            this.depthAvailable = true;
+            return;
+        }
+        if (this.depthAvailable === null) {
+            console.log("Depth sensing is not available, occluding with the detected planes.");
+        }
+        this.depthAvailable = false;
+        this.mesh.visible = false;
+        if (!this.planeOccluder) {
+            this.planeOccluder = new PlaneVisualizer(this.scene, {
+                material: new THREE.MeshBasicMaterial({
+                    colorWrite: false,
+                    side: THREE.DoubleSide,
+                    // Pushed back so models resting on a plane are not clipped by it
+                    polygonOffset: true,
+                    polygonOffsetFactor: 1,
+                    polygonOffsetUnits: 1
+                }),
+                renderOrder: AR_CONFIG.OCCLUDER_RENDER_ORDER
+            });
+        }
+        this.planeOccluder.update(frame, referenceSpace);
+    }
+
+    updateDepth(frame, referenceSpace) {
+        const session = frame.session;
+        const enabledFeatures = session.enabledFeatures;
+        if (typeof frame.getDepthInformation !== "function" || (enabledFeatures && !enabledFeatures.includes("depth-sensing"))) {
+            return false;
+        }
+        // depthUsage throws when the session was not granted depth sensing
+        let depthUsage = null;
+        try {
+            depthUsage = session.depthUsage;
+        } catch (error) {
+            return false;
+        }
+        if (depthUsage !== "cpu-optimized") {
+            return false;
+        }
+        const viewerPose = frame.getViewerPose(referenceSpace);
+        if (!viewerPose) {
+            return true;
+        }
+        let depthInfo = null;
+        try {
+            depthInfo = frame.getDepthInformation(viewerPose.views[0]);
+        } catch (error) {
+            console.error("Error reading the depth buffer:", error);
+            return false;
+        }
+        if (!depthInfo) {
+            // Depth data is not ready yet
+            this.mesh.visible = false;
+            return true;
+        }
+        const floatDepth = session.depthDataFormat === "float32";
+        const data = floatDepth ? new Float32Array(depthInfo.data) : new Uint8Array(depthInfo.data);
+        const texture = this.depthTexture;
+        if (!texture || texture.image.width !== depthInfo.width || texture.image.height !== depthInfo.height) {
+            if (texture) {
+                texture.dispose();
+            }
+            this.depthTexture = this.createDepthTexture(data, depthInfo.width, depthInfo.height, floatDepth);
+        } else {
+            texture.image.data = data;
+            texture.needsUpdate = true;
+        }
+        const uniforms = this.material.uniforms;
+        uniforms.depthTexture.value = this.depthTexture;
+        uniforms.uvTransform.value.fromArray(depthInfo.normDepthBufferFromNormView.matrix);
+        uniforms.rawValueToMeters.value = depthInfo.rawValueToMeters;
+        uniforms.floatDepth.value = floatDepth;
+        this.mesh.visible = true;
+        return true;
+    }
+
+    createDepthTexture(data, width, height, floatDepth) {
+        let format = THREE.LuminanceAlphaFormat;
+        if (floatDepth) {
+            format = this.renderer.capabilities.isWebGL2 ? THREE.RedFormat : THREE.LuminanceFormat;
+        }
+        const texture = new THREE.DataTexture(
+            data,
+            width,
+            height,
+            format,
+            floatDepth ? THREE.FloatType : THREE.UnsignedByteType
+        );
+        // The two bytes of each luminance-alpha texel form a single value, they can't be interpolated
+        texture.magFilter = THREE.NearestFilter;
+        texture.minFilter = THREE.NearestFilter;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.mesh.geometry.dispose();
+        this.material.dispose();
+        if (this.depthTexture) {
+            this.depthTexture.dispose();
+            this.depthTexture = null;
+        }
+        if (this.planeOccluder) {
+            this.planeOccluder.dispose();
+            this.planeOccluder = null;
+        }
+    }
+}
+
+OcclusionManager.vertexShader = `
+    varying vec2 vUv;
+    void main() {
+        vUv = position.xy * 0.5 + 0.5;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+OcclusionManager.fragmentShader = `
+    uniform sampler2D depthTexture;
+    uniform mat4 uvTransform;
+    uniform float rawValueToMeters;
+    uniform bool floatDepth;
+    uniform vec2 projectionZ;
+    uniform bool debug;
+    varying vec2 vUv;
+
+    void main() {
+        // Normalized view coordinates start at the top left corner
+        vec2 depthUv = (uvTransform * vec4(vUv.x, 1.0 - vUv.y, 0.0, 1.0)).xy;
+        vec4 texel = texture2D(depthTexture, depthUv);
+        float raw = floatDepth ? texel.r : dot(texel.ra, vec2(255.0, 256.0 * 255.0));
+        float meters = raw * rawValueToMeters;
+        if (meters <= 0.0) {
+            discard;
+        }
+        // Metric depth to window depth with the camera projection
+        float ndcDepth = (projectionZ.y - projectionZ.x * meters) / meters;
+        gl_FragDepthEXT = clamp(ndcDepth * 0.5 + 0.5, 0.0, 1.0);
+        if (debug) {
+            vec3 color = mix(vec3(1.0, 0.2, 0.0), vec3(0.0, 0.3, 1.0), clamp(meters / 8.0, 0.0, 1.0));
+            gl_FragColor = vec4(color * 0.6, 0.6);
+        } else {
+            gl_FragColor = vec4(0.0);
+        }
+    }
+`;
+
+class GestureController {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.target = null;
+        this.options = {
+            rotateEnabled: true,
+            scaleEnabled: true,
+            minScale: 0,
+            maxScale: Infinity,
+            rotationSnap: 0, // degrees, 0 disables snapping
+            inertia: true,
+            ...options
+        };
+        this.initialTouchDistance = null;
+        this.lastTouchAngle = null;
+        this.angularVelocity = 0;
+        this.lastUpdateTime = null;
+        this.onChange = null; // called once a gesture, including its inertia, has ended
+
+        this.onTouchStart = this.onTouchStart.bind(this);
+        this.onTouchMove = this.onTouchMove.bind(this);
+        this.onTouchEnd = this.onTouchEnd.bind(this);
+        this.element.addEventListener("touchstart", this.onTouchStart, { passive: false });
+        this.element.addEventListener("touchmove", this.onTouchMove, { passive: false });
+        this.element.addEventListener("touchend", this.onTouchEnd, { passive: false });
+        this.element.addEventListener("touchcancel", this.onTouchEnd, { passive: false });
+    }
+
+    setTarget(object) {
+        this.target = object;
+        this.initialTouchDistance = null;
+        this.lastTouchAngle = null;
+        this.angularVelocity = 0;
+    }
+
+    setOptions(options) {
+        Object.assign(this.options, options);
+        if (this.target) {
+            this.target.scale.setScalar(this.clampScale(this.target.scale.x));
+        }
+    }
+
+    static getDistance(t1, t2) {
+        const dx = t2.clientX - t1.clientX;
+        const dy = t2.clientY - t1.clientY;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    static getAngle(t1, t2) {
+        const dx = t2.clientX - t1.clientX;
+        const dy = t2.clientY - t1.clientY;
+        return Math.atan2(dy, dx);
+    }
+
+    clampScale(scale) {
+        return Math.min(this.options.maxScale, Math.max(this.options.minScale, scale));
+    }
+
+    onTouchStart(e) {
+        if (e.touches.length === 2 && this.target) {
+            e.preventDefault();
+            this.initialTouchDistance = GestureController.getDistance(e.touches[0], e.touches[1]);
+            this.lastTouchAngle = GestureController.getAngle(e.touches[0], e.touches[1]);
+            this.initialScale = this.target.scale.x;
+            this.angularVelocity = 0;
+            this.lastMoveTime = performance.now();
+        }
+    }
+
+    onTouchMove(e) {
+        if (e.touches.length !== 2 || !this.target || this.initialTouchDistance === null) {
+            return;
+        }
+        e.preventDefault();
+        const currentDistance = GestureController.getDistance(e.touches[0], e.touches[1]);
+        const currentAngle = GestureController.getAngle(e.touches[0], e.touches[1]);
+
+        if (this.options.scaleEnabled) {
+            this.target.scale.setScalar(this.clampScale(this.initialScale * currentDistance / this.initialTouchDistance));
+        }
+
+        if (this.options.rotateEnabled) {
+            // Wrapped to [-π, π] so crossing the atan2 discontinuity doesn't jump by a full turn
+            const delta = currentAngle - this.lastTouchAngle;
+            const rotation = -Math.atan2(Math.sin(delta), Math.cos(delta));
+            this.target.rotation.y += rotation;
+            // Smoothed velocity in rad/ms, used for the inertia once the fingers are lifted
+            const now = performance.now();
+            const elapsed = Math.max(now - this.lastMoveTime, 1);
+            this.angularVelocity = 0.8 * (rotation / elapsed) + 0.2 * this.angularVelocity;
+            this.lastMoveTime = now;
+        }
+        this.lastTouchAngle = currentAngle;
+    }
+
+    onTouchEnd(e) {
+        if (e.touches.length < 2 && this.initialTouchDistance !== null) {
+            this.initialTouchDistance = null;
+            this.lastTouchAngle = null;
+            if (!this.options.inertia || !this.options.rotateEnabled) {
+                this.angularVelocity = 0;
+            }
+            // With velocity left, update() snaps once the inertia stops
+            if (this.angularVelocity === 0) {
+                this.snapRotation();
+                this.notifyChange();
+            }
+        }
+    }
+
+    // Called every frame from the render loop, window.requestAnimationFrame does not run during XR sessions
+    update(timestamp) {
+        const elapsed = this.lastUpdateTime === null ? 0 : Math.min(timestamp - this.lastUpdateTime, 100);
+        this.lastUpdateTime = timestamp;
+        if (!this.target || this.initialTouchDistance !== null || this.angularVelocity === 0) {
+            return;
+        }
+        this.target.rotation.y += this.angularVelocity * elapsed;
+        this.angularVelocity *= Math.pow(0.995, elapsed);
+        if (Math.abs(this.angularVelocity) < 0.0001) {
+            this.angularVelocity = 0;
+            this.snapRotation();
+            this.notifyChange();
+        }
+    }
+
+    notifyChange() {
+        if (this.onChange && this.target) {
+            this.onChange(this.target);
+        }
+    }
+
+    snapRotation() {
+        if (!this.target || !(this.options.rotationSnap > 0)) {
+            return;
+        }
+        const step = this.options.rotationSnap * (Math.PI / 180);
+        this.target.rotation.y = Math.round(this.target.rotation.y / step) * step;
+    }
+
+    dispose() {
+        this.element.removeEventListener("touchstart", this.onTouchStart);
+        this.element.removeEventListener("touchmove", this.onTouchMove);
+        this.element.removeEventListener("touchend", this.onTouchEnd);
+        this.element.removeEventListener("touchcancel", this.onTouchEnd);
+        this.target = null;
+    }
+}
+
+// Orbit camera of viewer mode: frames each model from its bounding box, animates between
+// framings and auto-rotates after a delay without interaction
+class ViewerCamera {
+    constructor(camera, domElement, options = {}) {
+        this.camera = camera;
+        this.controls = new OrbitControls(camera, domElement);
+        this.controls.enableDamping = true;
+        this.controls.dampingFactor = 0.05;
+        this.controls.screenSpacePanning = false;
+        this.controls.autoRotateSpeed = 1;
+        this.transition = null;
+        this.framedObject = null;
+        this.autoRotateTimeout = null;
+        this.onInteractionStart = this.onInteractionStart.bind(this);
+        this.onInteractionEnd = this.onInteractionEnd.bind(this);
+        this.controls.addEventListener("start", this.onInteractionStart);
+        this.controls.addEventListener("end", this.onInteractionEnd);
+        this.setOptions(options);
+    }
+
+    // Angles like "30deg" or "0.5rad", plain numbers are degrees
+    static parseAngle(value, fallback) {
+        const number = parseFloat(value);
+        if (value === undefined || value === null || isNaN(number)) {
+            return fallback;
+        }
+        return /rad$/.test(value.trim()) ? number : number * (Math.PI / 180);
+    }
+
+    // Lengths like "2m", "50cm" or "150%" of the automatic value, "auto" or nothing is the automatic value
+    static parseLength(value, auto) {
+        const number = parseFloat(value);
+        if (value === undefined || value === null || isNaN(number)) {
+            return auto;
+        }
+        const unit = value.trim().replace(/^[-+\d.e]+/i, "");
+        switch (unit) {
+            case "%":
+                return (auto * number) / 100;
+            case "cm":
+                return number / 100;
+            case "mm":
+                return number / 1000;
+            default:
+                return number;
+        }
+    }
+
+    setOptions(options) {
+        this.options = {
+            orbit: "0deg 75deg auto",
+            target: "auto",
+            fieldOfView: "45deg",
+            minDistance: "auto",
+            maxDistance: "auto",
+            autoRotate: false,
+            autoRotateDelay: AR_CONFIG.AUTO_ROTATE_DELAY,
+            ...options
+        };
+        this.camera.fov = ViewerCamera.parseAngle(this.options.fieldOfView, Math.PI / 4) * (180 / Math.PI);
+        this.camera.updateProjectionMatrix();
+        if (!this.options.autoRotate) {
+            this.stopAutoRotate();
+        } else if (!this.controls.autoRotate && !this.autoRotateTimeout) {
+            this.scheduleAutoRotate();
+        }
+        if (this.framedObject) {
+            this.frame(this.framedObject, { animate: true });
+        }
+    }
+
+    // Moves the camera so the whole object fits the view, using the camera-orbit angles
+    frame(object, { animate = false } = {}) {
+        this.framedObject = object;
+        const sphere = new THREE.Box3().setFromObject(object).getBoundingSphere(new THREE.Sphere());
+        const radius = Math.max(sphere.radius, 0.01);
+        const verticalFov = this.camera.fov * (Math.PI / 180);
+        const horizontalFov = 2 * Math.atan(Math.tan(verticalFov / 2) * this.camera.aspect);
+        const fitDistance = (radius / Math.sin(Math.min(verticalFov, horizontalFov) / 2)) * 1.05;
+
+        const [theta, phi, distance] = (this.options.orbit || "").trim().split(/\s+/);
+        const orbitRadius = ViewerCamera.parseLength(distance, fitDistance);
+        const spherical = new THREE.Spherical(
+            orbitRadius,
+            ViewerCamera.parseAngle(phi, (75 * Math.PI) / 180),
+            ViewerCamera.parseAngle(theta, 0)
+        );
+        const target = this.parseTarget(sphere.center);
+        const position = new THREE.Vector3().setFromSpherical(spherical).add(target);
+
+        this.controls.minDistance = ViewerCamera.parseLength(this.options.minDistance, radius * 1.1);
+        this.controls.maxDistance = Math.max(
+            ViewerCamera.parseLength(this.options.maxDistance, fitDistance * 3),
+            this.controls.minDistance
+        );
+        this.camera.near = Math.max(radius / 100, 0.001);
+        this.camera.far = Math.max(this.controls.maxDistance + radius, orbitRadius + radius) * 10;
+        this.camera.updateProjectionMatrix();
+
+        if (!animate) {
+            this.transition = null;
+            this.camera.position.copy(position);
+            this.controls.target.copy(target);
+            this.controls.update();
+            return;
+        }
+        this.transition = {
+            fromPosition: this.camera.position.clone(),
+            fromTarget: this.controls.target.clone(),
+            toPosition: position,
+            toTarget: target,
+            start: null
+        };
+    }
+
+    parseTarget(center) {
+        const target = this.options.target;
+        if (!target || target.trim() === "auto") {
+            return center.clone();
+        }
+        const parts = target.trim().split(/\s+/);
+        return new THREE.Vector3(
+            ViewerCamera.parseLength(parts[0], center.x),
+            ViewerCamera.parseLength(parts[1], center.y),
+            ViewerCamera.parseLength(parts[2], center.z)
+        );
+    }
+
+    update(timestamp) {
+        if (this.transition) {
+            const transition = this.transition;
+            if (transition.start === null) {
+                transition.start = timestamp;
+            }
+            const t = Math.min((timestamp - transition.start) / AR_CONFIG.CAMERA_TRANSITION_DURATION, 1);
+            // Ease in-out
+            const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+            this.camera.position.lerpVectors(transition.fromPosition, transition.toPosition, eased);
+            this.controls.target.lerpVectors(transition.fromTarget, transition.toTarget, eased);
+            if (t >= 1) {
+                this.transition = null;
+            }
+        }
+        this.controls.update();
+    }
+
+    onInteractionStart() {
+        // The user takes over from any running transition or rotation
+        this.transition = null;
+        this.stopAutoRotate();
+        if (this.onInteraction) {
+            this.onInteraction();
+        }
+    }
+
+    onInteractionEnd() {
+        if (this.options.autoRotate) {
+            this.scheduleAutoRotate();
+        }
+    }
+
+    scheduleAutoRotate() {
+        clearTimeout(this.autoRotateTimeout);
+        this.autoRotateTimeout = setTimeout(() => {
+            this.autoRotateTimeout = null;
+            this.controls.autoRotate = true;
+        }, this.options.autoRotateDelay);
+    }
+
+    stopAutoRotate() {
+        clearTimeout(this.autoRotateTimeout);
+        this.autoRotateTimeout = null;
+        this.controls.autoRotate = false;
+    }
+
+    dispose() {
+        this.stopAutoRotate();
+        this.controls.removeEventListener("start", this.onInteractionStart);
+        this.controls.removeEventListener("end", this.onInteractionEnd);
+        this.controls.dispose();
+        this.framedObject = null;
+    }
+}
+
+// Plays the glTF animation clips of one loaded model
+class AnimationController {
+    constructor(root, clips) {
+        this.root = root;
+        this.clips = clips;
+        this.mixer = new THREE.AnimationMixer(root);
+        this.current = null;
+        this.onFinished = null;
+        this.disposed = false;
+        this.mixer.addEventListener("finished", (event) => {
+            if (this.onFinished) {
+                this.onFinished(event.action.getClip().name);
+            }
+        });
+    }
+
+    get animations() {
+        return this.clips.map(clip => clip.name);
+    }
+
+    get currentAnimation() {
+        return this.current ? this.current.getClip().name : null;
+    }
+
+    get paused() {
+        return !this.current || this.current.paused;
+    }
+
+    get currentTime() {
+        return this.current ? this.current.time : 0;
+    }
+
+    get duration() {
+        return this.current ? this.current.getClip().duration : 0;
+    }
+
+    getClip(name) {
+        if (name === undefined || name === null) {
+            return this.current ? this.current.getClip() : this.clips[0];
+        }
+        const clip = this.clips.find(c => c.name === name);
+        if (!clip) {
+            console.error(`Couldn't find animation "${name}". Available animations: ${this.animations.join(", ")}.`);
+        }
+        return clip;
+    }
+
+    // loop: "repeat", "once", "pingpong" or a number of repetitions. crossfade: seconds
+    play(name, options = {}) {
+        const clip = this.getClip(name);
+        if (!clip) {
+            return null;
+        }
+        const action = this.mixer.clipAction(clip);
+        this.setLoop(action, options.loop);
+        if (options.speed !== undefined) {
+            this.setSpeed(options.speed);
+        }
+        if (action === this.current) {
+            // Resume or keep playing without restarting
+            action.paused = false;
+            if (!action.isRunning()) {
+                action.reset().play();
+            }
+            return action;
+        }
+        action.reset().play();
+        if (this.current && options.crossfade > 0) {
+            this.current.crossFadeTo(action, options.crossfade, false);
+        } else if (this.current) {
+            this.current.stop();
+        }
+        this.current = action;
+        return action;
+    }
+
+    crossFadeTo(name, duration = 0.3, options = {}) {
+        return this.play(name, { ...options, crossfade: duration });
+    }
+
+    pause() {
+        if (this.current) {
+            this.current.paused = true;
+        }
+    }
+
+    stop() {
+        this.mixer.stopAllAction();
+        this.current = null;
+    }
+
+    seek(time) {
+        if (!this.current) {
+            this.play();
+            this.pause();
+        }
+        if (this.current) {
+            this.current.time = Math.max(0, Math.min(time, this.current.getClip().duration));
+            // Applies the new pose even while paused
+            this.mixer.update(0);
+        }
+    }
+
+    setSpeed(speed) {
+        this.mixer.timeScale = speed;
+    }
+
+    setLoop(action, loop = "repeat") {
+        const repetitions = parseInt(loop, 10);
+        if (loop === "once") {
+            action.setLoop(THREE.LoopOnce, 1);
+        } else if (loop === "pingpong") {
+            action.setLoop(THREE.LoopPingPong, Infinity);
+        } else if (repetitions > 0) {
+            action.setLoop(THREE.LoopRepeat, repetitions);
+        } else {
+            action.setLoop(THREE.LoopRepeat, Infinity);
+        }
+        // Finite animations keep their last frame instead of jumping back to the rest pose
+        action.clampWhenFinished = true;
+    }
+
+    update(delta) {
+        this.mixer.update(delta);
+    }
+
+    dispose() {
+        this.mixer.stopAllAction();
+        this.mixer.uncacheRoot(this.root);
+        this.disposed = true;
+    }
+}
+
+// Switches the KHR_materials_variants of a model and applies per-material overrides. Variant materials
+// are loaded through the glTF parser and shared with the cache, overridden materials are clones owned
+// by this model.
+class MaterialController {
+    constructor(root, gltf, sharedMaterials = new Set()) {
+        this.root = root;
+        this.parser = gltf.parser;
+        this.sharedMaterials = sharedMaterials;
+        const extensions = (gltf.userData && gltf.userData.gltfExtensions) || {};
+        const variants = extensions.KHR_materials_variants ? extensions.KHR_materials_variants.variants : [];
+        this.variantNames = (variants || []).map(variant => variant.name);
+        this.meshes = [];
+        root.traverse((child) => {
+            if (child.isMesh && child.material && !Array.isArray(child.material)) {
+                this.meshes.push({ mesh: child, defaultMaterial: child.material, material: child.material });
+            }
+        });
+        this.currentVariant = null;
+        this.overrides = new Map(); // material name -> { color, map, roughness }
+        this.clones = new Map(); // base material -> overridden clone
+        this.textures = new Map(); // url -> loaded texture
+        this.pendingTextures = new Map(); // url -> promise
+        this.variantRequest = 0;
+        this.disposed = false;
+    }
+
+    get variants() {
+        return this.variantNames.slice();
+    }
+
+    get variant() {
+        return this.currentVariant;
+    }
+
+    // Names of the materials currently shown, the keys accepted by setOverride()
+    get materials() {
+        return Array.from(new Set(this.meshes.map(entry => entry.material.name).filter(Boolean)));
+    }
+
+    static getMappings(mesh) {
+        const extensions = mesh.userData.gltfExtensions;
+        const extension = extensions && extensions.KHR_materials_variants;
+        return extension ? extension.mappings : [];
+    }
+
+    // A null name goes back to the default materials of the model
+    setVariant(name) {
+        const index = name ? this.variantNames.indexOf(name) : -1;
+        if (name && index < 0) {
+            console.error(`Couldn't find material variant "${name}". Available variants: ${this.variantNames.join(", ")}.`);
+            return Promise.resolve();
+        }
+        const request = ++this.variantRequest;
+        return Promise.all(this.meshes.map((entry) => {
+            const mapping = index < 0
+                ? null
+                : MaterialController.getMappings(entry.mesh).find(m => m.variants.includes(index));
+            if (!mapping) {
+                return entry.defaultMaterial;
+            }
+            return this.parser.getDependency("material", mapping.material)
+                .then(material => this.getFinalMaterial(entry.mesh, material));
+        })).then((materials) => {
+            // A newer variant was selected while these materials were loading
+            if (this.disposed || request !== this.variantRequest) {
+                return;
+            }
+            materials.forEach((material, i) => {
+                this.meshes[i].material = material;
+            });
+            this.currentVariant = index < 0 ? null : name;
+            this.applyMaterials();
+        });
+    }
+
+    // The parser derives skinning, vertex color and tangent variants of a material per mesh
+    getFinalMaterial(mesh, material) {
+        const current = mesh.material;
+        mesh.material = material;
+        this.parser.assignFinalMaterial(mesh);
+        const finalMaterial = mesh.material;
+        mesh.material = current;
+        this.sharedMaterials.add(material);
+        this.sharedMaterials.add(finalMaterial);
+        return finalMaterial;
+    }
+
+    // Overrides: color (CSS color or hex), map (URL, THREE.Texture or null to remove it), roughness (0-1)
+    setOverride(materialName, overrides = {}) {
+        const merged = { ...this.overrides.get(materialName), ...overrides };
+        this.overrides.set(materialName, merged);
+        const texture = typeof merged.map === "string" ? this.loadTexture(merged.map) : Promise.resolve();
+        return texture.then(() => {
+            if (!this.disposed) {
+                this.applyMaterials();
+            }
+        });
+    }
+
+    // Without a name every override is removed
+    clearOverride(materialName) {
+        if (materialName === undefined) {
+            this.overrides.clear();
+        } else {
+            this.overrides.delete(materialName);
+        }
+        this.applyMaterials();
+    }
+
+    loadTexture(url) {
+        if (!this.pendingTextures.has(url)) {
+            this.pendingTextures.set(url, new Promise((resolve, reject) => {
+                new THREE.TextureLoader().load(url, resolve, undefined, reject);
+            }).then((texture) => {
+                // Same conventions as the textures of the glTF
+                texture.encoding = THREE.sRGBEncoding;
+                texture.flipY = false;
+                if (this.disposed) {
+                    texture.dispose();
+                } else {
+                    this.textures.set(url, texture);
+                }
+                return texture;
+            }, (error) => {
+                this.pendingTextures.delete(url);
+                throw error;
+            }));
+        }
+        return this.pendingTextures.get(url);
+    }
+
+    applyMaterials() {
+        const used = new Set();
+        this.meshes.forEach((entry) => {
+            const overrides = this.overrides.get(entry.material.name);
+            if (!overrides) {
+                entry.mesh.material = entry.material;
+                return;
+            }
+            let clone = this.clones.get(entry.material);
+            if (!clone) {
+                clone = entry.material.clone();
+                this.clones.set(entry.material, clone);
+            }
+            this.applyOverrides(clone, entry.material, overrides);
+            entry.mesh.material = clone;
+            used.add(clone);
+        });
+        this.clones.forEach((clone, material) => {
+            if (!used.has(clone)) {
+                clone.dispose();
+                this.clones.delete(material);
+            }
+        });
+    }
+
+    applyOverrides(clone, material, overrides) {
+        const hadMap = !!clone.map;
+        clone.copy(material);
+        if (overrides.color !== undefined && clone.color) {
+            // glTF colors are linear, CSS colors are sRGB
+            clone.color.set(overrides.color);
+            if (typeof overrides.color === "string") {
+                clone.color.convertSRGBToLinear();
+            }
+        }
+        if (overrides.roughness !== undefined && clone.roughness !== undefined) {
+            clone.roughness = overrides.roughness;
+        }
+        if (overrides.map !== undefined) {
+            if (typeof overrides.map === "string") {
+                clone.map = this.textures.get(overrides.map) || clone.map;
+            } else {
+                clone.map = overrides.map;
+            }
+        }
+        // Adding or removing a texture changes the shader
+        if (hadMap !== !!clone.map) {
+            clone.needsUpdate = true;
+        }
+    }
+
+    dispose() {
+        this.disposed = true;
+        this.meshes.forEach((entry) => {
+            entry.mesh.material = entry.defaultMaterial;
+        });
+        this.clones.forEach(clone => clone.dispose());
+        this.clones.clear();
+        this.textures.forEach(texture => texture.dispose());
+        this.textures.clear();
+        this.pendingTextures.clear();
+    }
+}
+
+// Converts loaded models to USDZ for Quick Look when the page has no usdz file. Each model keeps its
+// last file, regenerated when its scale, rotation, variant or material overrides change.
+class USDZGenerator {
+    constructor() {
+        this.exporter = new USDZExporter();
+        this.files = new Map(); // model cache key -> { key, promise }
+    }
+
+    // Resolves with a blob URL for the model inside the pivot object
+    generate(object) {
+        const key = USDZGenerator.getStateKey(object);
+        const file = this.files.get(object.cacheKey);
+        if (file && file.key === key) {
+            return file.promise;
+        }
+        if (file) {
+            USDZGenerator.revoke(file);
+        }
+        const scene = USDZGenerator.buildScene(object);
+        const promise = this.exporter.parse(scene).then((data) => {
+            return URL.createObjectURL(new Blob([data], { type: "model/vnd.usdz+zip" }));
+        }).finally(() => {
+            scene.traverse((child) => {
+                if (child.isMesh) {
+                    child.geometry.dispose();
+                    child.material.dispose();
+                }
+            });
+        });
+        promise.catch(() => this.files.delete(object.cacheKey));
+        this.files.set(object.cacheKey, { key, promise });
+        return promise;
+    }
+
+    static getStateKey(object) {
+        const controller = object.materialController;
+        const overrides = controller ? Array.from(controller.overrides).map(([name, values]) => [
+            name, values.color, values.roughness, values.map && values.map.isTexture ? values.map.uuid : values.map
+        ]) : [];
+        return JSON.stringify([
+            object.model.matrix.elements,
+            controller ? controller.variant : null,
+            overrides
+        ]);
+    }
+
+    // Only the visible meshes, relative to the pivot: the export keeps the model's own transform
+    // (scale, rotation, offset) but not where it is placed in the scene
+    static buildScene(object) {
+        const scene = new THREE.Group();
+        object.updateWorldMatrix(true, true);
+        const pivotInverse = new THREE.Matrix4().copy(object.matrixWorld).invert();
+        object.model.traverseVisible((child) => {
+            if (!child.isMesh || !child.geometry.attributes.position) {
+                return;
+            }
+            const mesh = new THREE.Mesh(
+                USDZGenerator.convertGeometry(child.geometry),
+                USDZGenerator.convertMaterial(Array.isArray(child.material) ? child.material[0] : child.material)
+            );
+            mesh.matrixAutoUpdate = false;
+            mesh.matrix.multiplyMatrices(pivotInverse, child.matrixWorld);
+            scene.add(mesh);
+        });
+        scene.updateMatrixWorld(true);
+        return scene;
+    }
+
+    // The exporter reads the raw arrays, so interleaved and quantized attributes are expanded to floats
+    static convertGeometry(geometry) {
+        const converted = new THREE.BufferGeometry();
+        ["position", "normal", "uv"].forEach((name) => {
+            const attribute = geometry.attributes[name];
+            if (!attribute) {
+                return;
+            }
+            const getters = [attribute.getX, attribute.getY, attribute.getZ];
+            const scale = USDZGenerator.getNormalizationScale(attribute.array);
+            const array = new Float32Array(attribute.count * attribute.itemSize);
+            for (let i = 0; i < attribute.count; i++) {
+                for (let component = 0; component < attribute.itemSize; component++) {
+                    let value = getters[component].call(attribute, i);
+                    if (attribute.normalized) {
+                        value = Math.max(value / scale, -1);
+                    }
+                    array[i * attribute.itemSize + component] = value;
+                }
+            }
+            converted.setAttribute(name, new THREE.BufferAttribute(array, attribute.itemSize));
+        });
+        if (geometry.index) {
+            converted.setIndex(geometry.index);
+        }
+        if (!converted.attributes.normal) {
+            converted.computeVertexNormals();
+        }
+        return converted;
+    }
+
+    static getNormalizationScale(array) {
+        if (array instanceof Int8Array) {
+            return 127;
+        }
+        if (array instanceof Uint8Array) {
+            return 255;
+        }
+        if (array instanceof Int16Array) {
+            return 32767;
+        }
+        if (array instanceof Uint16Array) {
+            return 65535;
+        }
+        return 1;
+    }
+
+    // Quick Look materials are physically based, textures must be images the exporter can draw
+    static convertMaterial(material) {
+        const converted = new THREE.MeshStandardMaterial();
+        ["color", "emissive"].forEach((name) => {
+            if (material[name]) {
+                converted[name].copy(material[name]);
+            }
+        });
+        ["roughness", "metalness"].forEach((name) => {
+            if (typeof material[name] === "number") {
+                converted[name] = material[name];
+            }
+        });
+        ["map", "normalMap", "aoMap", "roughnessMap", "metalnessMap", "emissiveMap"].forEach((name) => {
+            if (USDZGenerator.isExportable(material[name])) {
+                converted[name] = material[name];
+            }
+        });
+        return converted;
+    }
+
+    static isExportable(texture) {
+        if (!texture || texture.isCompressedTexture || !texture.image) {
+            return false;
+        }
+        const image = texture.image;
+        return (typeof HTMLImageElement !== "undefined" && image instanceof HTMLImageElement) ||
+            (typeof HTMLCanvasElement !== "undefined" && image instanceof HTMLCanvasElement) ||
+            (typeof ImageBitmap !== "undefined" && image instanceof ImageBitmap);
+    }
+
+    static revoke(file) {
+        file.promise.then(url => URL.revokeObjectURL(url), () => {});
+    }
+
+    dispose() {
+        this.files.forEach(USDZGenerator.revoke);
+        this.files.clear();
+    }
+}
+
+class KitCoreWebARObject extends HTMLElement {
+    static get observedAttributes() {
+        return [
+            "scale", "rotation", "position", "offset", "heading", "real-size",
+            "autoplay", "animation-name", "animation-loop", "animation-speed", "variant"
+        ];
+    }
+
+    constructor() {
+        super();
+        this.model = null;
+        // Set through the variant attribute or setVariant(), applied to every instance as it loads
+        this.materialVariant = null;
+        this.materialOverrides = new Map();
+        // Floor and wall modes can place several instances of the same element
+        this.boundObjects = new Set();
+        this.usePosition = false;
+    }
+
+    // The live THREE.Object3D for this element (the last placed instance), or null while it is not loaded
+    get object3D() {
+        return this.model;
+    }
+
+    attributeChangedCallback(name) {
+        if (name === "variant") {
+            this.setVariant(this.getAttribute("variant"))
+                .catch(error => console.error("Couldn't apply material variant:", error));
+            return;
+        }
+        if (ANIMATION_ATTRIBUTES.includes(name)) {
+            this.boundObjects.forEach(object => this.applyAnimation(object, true));
+            return;
+        }
+        this.boundObjects.forEach(object => this.applyTransform(object));
+    }
+
+    bindObject(object, options = {}) {
+        this.boundObjects.add(object);
+        if (options.primary !== false) {
+            this.model = object;
+        }
+        this.usePosition = !!options.usePosition;
+        object.element = this;
+        this.applyTransform(object);
+        this.applyAnimation(object);
+        this.applyMaterials(object);
+    }
+
+    unbindObject(object) {
+        this.boundObjects.delete(object);
+        if (this.model === object) {
+            this.model = null;
+        }
+    }
+
+    parseVector(name) {
+        const value = this.getAttribute(name);
+        if (value === null || value.trim() === "") {
+            return null;
+        }
+        const parts = value.trim().split(/[\s,]+/).map(parseFloat);
+        if (parts.some(isNaN) || (parts.length !== 1 && parts.length !== 3)) {
+            console.error(`Invalid '${name}' attribute in <kitcore-webar-object>: "${value}".`);
+            return null;
+        }
+        return parts.length === 1
+            ? new THREE.Vector3(parts[0], parts[0], parts[0])
+            : new THREE.Vector3(parts[0], parts[1], parts[2]);
+    }
+
+    applyTransform(object) {
+        const model = object.model;
+        const toRad = (deg) => deg * (Math.PI / 180);
+
+        // Scale: explicit scale (or the mode default) multiplied by the real-size fit
+        const realSize = parseFloat(this.getAttribute("real-size"));
+        const scale = this.parseVector("scale") ||
+            new THREE.Vector3().setScalar(realSize > 0 ? 1 : object.userData.defaultScale);
+        const size = object.userData.size;
+        const maxDimension = Math.max(size.x, size.y, size.z);
+        if (realSize > 0 && maxDimension > 0) {
+            scale.multiplyScalar(realSize / maxDimension);
+        }
+        model.scale.copy(scale);
+
+        // Rotation in degrees, then heading as a clockwise yaw seen from above
+        const rotation = this.parseVector("rotation") || new THREE.Vector3();
+        const heading = parseFloat(this.getAttribute("heading")) || 0;
+        model.quaternion
+            .setFromAxisAngle(new THREE.Vector3(0, 1, 0), -toRad(heading))
+            .multiply(new THREE.Quaternion().setFromEuler(
+                new THREE.Euler(toRad(rotation.x), toRad(rotation.y), toRad(rotation.z))
+            ));
+
+        model.position.copy(this.parseVector("offset") || new THREE.Vector3());
+
+        // Only viewer mode lets the page position the pivot, AR modes place it themselves
+        if (this.usePosition) {
+            object.position.copy(this.parseVector("position") || new THREE.Vector3());
+        }
+    }
+
+    getAnimationOptions() {
+        const speed = parseFloat(this.getAttribute("animation-speed"));
+        return {
+            loop: this.getAttribute("animation-loop") || "repeat",
+            speed: isNaN(speed) ? 1 : speed
+        };
+    }
+
+    applyAnimation(object, changed = false) {
+        const controller = object.animationController;
+        if (!controller) {
+            return;
+        }
+        controller.onFinished = (name) => {
+            this.dispatchEvent(new CustomEvent(EVENTS.ANIMATION_FINISHED, {
+                detail: { name, object },
+                bubbles: true,
+                composed: true
+            }));
+        };
+        const options = this.getAnimationOptions();
+        controller.setSpeed(options.speed);
+        const autoplay = this.hasAttribute("autoplay") && this.getAttribute("autoplay") !== "false";
+        if (autoplay) {
+            // Changing animation-name on a playing model blends into the new clip
+            controller.play(this.getAttribute("animation-name") || undefined, {
+                ...options,
+                crossfade: changed ? AR_CONFIG.ANIMATION_CROSSFADE : 0
+            });
+        } else if (changed && this.getAttribute("autoplay") === "false") {
+            controller.pause();
+        }
+    }
+
+    getAnimationControllers() {
+        return Array.from(this.boundObjects)
+            .map(object => object.animationController)
+            .filter(Boolean);
+    }
+
+    // Names of the animation clips of the model, empty until it is loaded
+    get availableAnimations() {
+        const controller = this.model && this.model.animationController;
+        return controller ? controller.animations : [];
+    }
+
+    get animationName() {
+        const controller = this.model && this.model.animationController;
+        return controller ? controller.currentAnimation : null;
+    }
+
+    get paused() {
+        const controller = this.model && this.model.animationController;
+        return controller ? controller.paused : true;
+    }
+
+    get currentTime() {
+        const controller = this.model && this.model.animationController;
+        return controller ? controller.currentTime : 0;
+    }
+
+    set currentTime(time) {
+        this.seek(time);
+    }
+
+    get duration() {
+        const controller = this.model && this.model.animationController;
+        return controller ? controller.duration : 0;
+    }
+
+    // Options: loop ("repeat", "once", "pingpong" or a number of repetitions), speed and crossfade (seconds)
+    play(name, options = {}) {
+        const defaults = this.getAnimationOptions();
+        this.getAnimationControllers().forEach(controller => controller.play(name, { ...defaults, ...options }));
+    }
+
+    pause() {
+        this.getAnimationControllers().forEach(controller => controller.pause());
+    }
+
+    stop() {
+        this.getAnimationControllers().forEach(controller => controller.stop());
+    }
+
+    crossFadeTo(name, duration = AR_CONFIG.ANIMATION_CROSSFADE, options = {}) {
+        this.play(name, { ...options, crossfade: duration });
+    }
+
+    seek(time) {
+        this.getAnimationControllers().forEach(controller => controller.seek(time));
+    }
+
+    applyMaterials(object) {
+        const controller = object.materialController;
+        if (!controller) {
+            return;
+        }
+        const pending = Array.from(this.materialOverrides)
+            .map(([name, overrides]) => controller.setOverride(name, overrides));
+        if (this.materialVariant) {
+            pending.push(controller.setVariant(this.materialVariant));
+        }
+        Promise.all(pending).catch(error => console.error("Couldn't apply materials:", error));
+    }
+
+    getMaterialControllers() {
+        return Array.from(this.boundObjects)
+            .map(object => object.materialController)
+            .filter(Boolean);
+    }
+
+    // Names of the KHR_materials_variants of the model, empty until it is loaded
+    get availableVariants() {
+        const controller = this.model && this.model.materialController;
+        return controller ? controller.variants : [];
+    }
+
+    get variant() {
+        return this.materialVariant;
+    }
+
+    // A null name goes back to the default materials. Resolves once every instance shows the variant.
+    setVariant(name) {
+        this.materialVariant = name || null;
+        return Promise.all(this.getMaterialControllers().map(controller => controller.setVariant(this.materialVariant)));
+    }
+
+    // Names of the materials that setMaterial() can override
+    get availableMaterials() {
+        const controller = this.model && this.model.materialController;
+        return controller ? controller.materials : [];
+    }
+
+    // Overrides: color (CSS color or hex), map (texture URL, THREE.Texture or null), roughness (0-1)
+    setMaterial(name, overrides = {}) {
+        this.materialOverrides.set(name, { ...this.materialOverrides.get(name), ...overrides });
+        return Promise.all(this.getMaterialControllers().map(controller => controller.setOverride(name, overrides)));
+    }
+
+    // Without a name every override is removed
+    resetMaterial(name) {
+        if (name === undefined) {
+            this.materialOverrides.clear();
+        } else {
+            this.materialOverrides.delete(name);
+        }
+        this.getMaterialControllers().forEach(controller => controller.clearOverride(name));
+    }
+}
+
+class KitCoreWebARHotspot extends HTMLElement {
+    static get observedAttributes() {
+        return ["position", "normal"];
+    }
+
+    constructor() {
+        super();
+        this.position = null;
+        this.normal = null;
+        this.visible = false;
+        this.onClick = this.onClick.bind(this);
+        // Keep taps on the hotspot from also selecting or placing in the AR session
+        this.onBeforeXRSelect = (e) => e.preventDefault();
+    }
+
+    connectedCallback() {
+        this.style.position = "absolute";
+        this.style.left = "0";
+        this.style.top = "0";
+        this.style.pointerEvents = "auto";
+        this.style.cursor = "pointer";
+        this.style.visibility = "hidden";
+        this.position = this.parseVector("position");
+        this.normal = this.parseVector("normal");
+        this.addEventListener("click", this.onClick);
+        this.addEventListener("beforexrselect", this.onBeforeXRSelect);
+    }
+
+    disconnectedCallback() {
+        this.removeEventListener("click", this.onClick);
+        this.removeEventListener("beforexrselect", this.onBeforeXRSelect);
+        this.setVisible(false);
+    }
+
+    attributeChangedCallback(name) {
+        this[name] = this.parseVector(name);
+    }
+
+    parseVector(name) {
+        const value = this.getAttribute(name);
+        if (value === null || value.trim() === "") {
+            return null;
+        }
+        const parts = value.trim().split(/[\s,]+/).map(parseFloat);
+        if (parts.some(isNaN) || parts.length !== 3) {
+            console.error(`Invalid '${name}' attribute in <kitcore-webar-hotspot>: "${value}".`);
+            return null;
+        }
+        const vector = new THREE.Vector3(parts[0], parts[1], parts[2]);
+        return name === "normal" ? vector.normalize() : vector;
+    }
+
+    // The model instance the hotspot belongs to, or null while it is not loaded
+    get object3D() {
+        const parent = this.parentElement;
+        return parent instanceof KitCoreWebARObject ? parent.object3D : null;
+    }
+
+    // Called by <kitcore-webar> every frame with the hotspot's position in CSS pixels
+    setScreenPosition(x, y) {
+        this.style.transform = `translate(${x}px, ${y}px) translate(-50%, -50%)`;
+        this.setVisible(true);
+    }
+
+    setVisible(visible) {
+        if (this.visible === visible) {
+            return;
+        }
+        this.visible = visible;
+        this.style.visibility = visible ? "visible" : "hidden";
+        this.toggleAttribute("data-visible", visible);
+    }
+
+    onClick() {
+        this.dispatchEvent(new CustomEvent(EVENTS.HOTSPOT_CLICK, {
+            detail: {
+                position: this.position && this.position.clone(),
+                normal: this.normal && this.normal.clone(),
+                object: this.object3D
+            },
+            bubbles: true,
+            composed: true
+        }));
+    }
+}
+
+class KitCoreWebARMarker extends HTMLElement {
+    static get observedAttributes() {
+        return ["src"];
+    }
+
+    constructor() {
+        super();
+        this.bitmap = null;
+    }
+
+    connectedCallback() {
+        if (!this.bitmap) {
+            this.loadBitmap();
+        }
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue !== newValue && this.isConnected) {
+            this.loadBitmap();
+        }
+    }
+
+    // Decoded as soon as the marker is in the page, so starting the session does not wait for it
+    loadBitmap() {
+        const src = this.getAttribute("src");
+        this.bitmap = src
+            ? fetch(src).then((response) => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} loading ${src}`);
+                }
+                return response.blob();
+            }).then(blob => createImageBitmap(blob))
+            : Promise.reject(new Error("Attribute 'src' not defined in <kitcore-webar-marker>."));
+        this.bitmap.catch(error => console.error("Couldn't load marker image:", error));
+        return this.bitmap;
+    }
+
+    // Referenced by the marker attribute of <kitcore-webar-object>
+    get markerName() {
+        return this.getAttribute("name") || this.getAttribute("src");
+    }
+
+    // Printed width of the image, required by WebXR to estimate its distance
+    get widthInMeters() {
+        const width = parseFloat(this.getAttribute("width"));
+        return width > 0 ? width : null;
+    }
+}
+
+class KitCoreWebAR extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: "open" });
+        this.container = document.createElement("div");
+        this.container.style.width = "100%";
+        this.container.style.height = "100%";
+        this.container.style.position = "relative";
+        this.container.style.touchAction = "none";
+        this.shadowRoot.appendChild(this.container);
+
+        this.domOverlayContainer = document.createElement("div");
+        this.domOverlayContainer.id = "dom-overlay";
+        this.domOverlayContainer.style.display = "flex";
+        this.domOverlayContainer.style.justifyContent = "end";
+        this.domOverlayContainer.style.alignItems = "center";
+        this.domOverlayContainer.style.flexDirection = "column";
+        this.domOverlayContainer.style.color = "white";
+        this.domOverlayContainer.style.fontSize = "25px";
+        this.domOverlayContainer.style.paddingBottom = "50px";
+        this.domOverlayContainer.style.fontFamily = "Arial, sans-serif";
+        this.domOverlayContainer.style.textAlign = "center";
+        this.domOverlayContainer.style.touchAction = "none";
+        this.domOverlayContainer.style.display = "none";
+        this.shadowRoot.appendChild(this.domOverlayContainer);
+
+        this.overlayMessage = document.createElement("div");
+        this.domOverlayContainer.appendChild(this.overlayMessage);
+
+        // Hotspots are slotted through their <kitcore-webar-object> into this layer, which sits over
+        // the viewer canvas or inside the DOM overlay during AR sessions
+        this.hotspotLayer = document.createElement("div");
+        this.hotspotLayer.style.position = "absolute";
+        this.hotspotLayer.style.inset = "0";
+        this.hotspotLayer.style.overflow = "hidden";
+        this.hotspotLayer.style.pointerEvents = "none";
+        const hotspotStyle = document.createElement("style");
+        hotspotStyle.textContent = `
+            ::slotted(kitcore-webar-object) { display: contents; }
+            ::slotted(:not(kitcore-webar-object)) { display: none; }
+        `;
+        this.hotspotLayer.appendChild(hotspotStyle);
+        this.hotspotLayer.appendChild(document.createElement("slot"));
+        this.hotspotRaycaster = new THREE.Raycaster();
+
+        this.rotateEnabled = this.getAttribute("rotate") !== "false";
+        this.scaleEnabled = this.getAttribute("scale") !== "false";
+        this.positionateEnabled = this.getAttribute("positionate") !== "false";
+        this.arEnabled = this.getAttribute("ar-enabled") !== "false";
+
+        // The mode attribute, and the mode actually running once the fallback chain is resolved
+        this.requestedMode = this.getAttribute("mode") || MODES.VIEWER;
+        this.mode = this.requestedMode;
+        this.capabilities = null;
+        this.status = null;
+        if (this.attachInternals) {
+            this.internals = this.attachInternals();
+        }
+        this.objects = [];
+        this.nearbyObjects = new Set();
+        this.markerObjects = [];
+        this.trackedMarkers = [];
+        // Placement layout waiting to be restored, and the persistent anchor it is saved against
+        this.restoreState = null;
+        this.persistTimer = null;
+        this.layoutAnchor = null;
+        this.layoutAnchorRequest = null;
+        this.layoutAnchorMatrix = null;
+        this.persistentHandle = null;
+        this.pois = [];
+        this.manifestUrl = null;
+        this.currentObjectIndex = 0;
+        this.autoGenerateButton = this.getAttribute("auto-button") !== "false";
+    }
+
+    static get observedAttributes() {
+        return [
+            "mode", "rotate", "scale", "positionate", "ar-enabled", "auto-button", "distance",
+            "reticle", "show-planes", "preview", "min-scale", "max-scale", "rotation-snap", "inertia",
+            "multiple", "manifest", "src", "prefetch-distance", "memory-budget", "environment", "occlusion",
+            "camera-orbit", "camera-target", "field-of-view", "min-camera-distance", "max-camera-distance",
+            "auto-rotate", "auto-rotate-delay", "background", "interaction-prompt", "fallback"
+        ];
+    }
+
+    connectedCallback() {
+        this.mutationObserver = new MutationObserver(() => this.syncObjects());
+        this.mutationObserver.observe(this, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: OBJECT_ATTRIBUTES
+        });
+        if (!this.capabilities) {
+            this.setStatus(AR_STATUS.CHECKING);
+        }
+        KitCoreWebAR.probeCapabilities().then((capabilities) => {
+            // Disconnected meanwhile, or already started by an earlier connection
+            if (!this.isConnected || this.initialized) {
+                return;
+            }
+            this.capabilities = capabilities;
+            this.applyModeChain();
+            this.init();
+        }).catch((error) => {
+            console.error("Couldn't start KitCoreWebAR:", error);
+            this.setStatus(AR_STATUS.FAILED);
+        });
+    }
+
+    disconnectedCallback() {
+        if (this.mutationObserver) {
+            this.mutationObserver.disconnect();
+            this.mutationObserver = null;
+        }
+        if (this.session) {
+            this.session.end().catch((error) => console.error("Error ending WebXR session:", error));
+        }
+        this.deinit();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue) {
+            return;
+        }
+        switch (name) {
+            case "rotate":
+                this.rotateEnabled = newValue !== "false";
+                this.updateGestureOptions();
+                break;
+            case "scale":
+                this.scaleEnabled = newValue !== "false";
+                this.updateGestureOptions();
+                break;
+            case "min-scale":
+            case "max-scale":
+            case "rotation-snap":
+            case "inertia":
+                this.updateGestureOptions();
+                break;
+            case "positionate":
+                this.positionateEnabled = newValue !== "false";
+                break;
+            case "ar-enabled":
+                this.arEnabled = newValue !== "false";
+                if (this.initialized && this.mode === MODES.VIEWER && this.sceneManager) {
+                    this.refreshSceneViewerButton();
+                }
+                break;
+            case "auto-button":
+                this.autoGenerateButton = newValue !== "false";
+                if (this.initialized && !this.session && this.mode !== MODES.VIEWER) {
+                    this.deinit();
+                    this.init();
+                }
+                break;
+            case "distance":
+            case "prefetch-distance":
+            case "memory-budget":
+                // Anchors mode reads the radius every frame, GPS mode only on position updates
+                if (this.mode === MODES.GPS) {
+                    this.updateGPSObjects();
+                } else if (this.mode === MODES.ANCHORS) {
+                    this.refreshNearbyObjects();
+                }
+                break;
+            case "mode":
+                this.requestedMode = newValue || MODES.VIEWER;
+                this.applyModeChain();
+                this.rebuild();
+                break;
+            case "fallback":
+                if (this.capabilities) {
+                    const mode = this.mode;
+                    this.applyModeChain();
+                    if (this.mode !== mode) {
+                        this.rebuild();
+                    }
+                }
+                break;
+            case "reticle":
+                if (this.reticle) {
+                    this.applyReticleStyle();
+                }
+                break;
+            case "show-planes":
+                if (this.hitTestSource) {
+                    this.updatePlaneVisualizer();
+                }
+                break;
+            case "multiple":
+                if (this.gestureController) {
+                    this.preparePendingObject();
+                }
+                break;
+            case "preview":
+                // Recreated on the next frame if still enabled
+                this.removeGhost();
+                break;
+            case "environment":
+                if (this.sceneManager) {
+                    this.applyEnvironment();
+                }
+                break;
+            case "camera-orbit":
+            case "camera-target":
+            case "field-of-view":
+            case "min-camera-distance":
+            case "max-camera-distance":
+            case "auto-rotate":
+            case "auto-rotate-delay":
+                if (this.viewerCamera) {
+                    this.viewerCamera.setOptions(this.getViewerCameraOptions());
+                }
+                break;
+            case "background":
+                if (this.viewerCamera) {
+                    this.sceneManager.setBackground(newValue);
+                }
+                break;
+            case "interaction-prompt":
+                if (newValue === "none") {
+                    this.hideInteractionPrompt();
+                }
+                break;
+            case "occlusion":
+                // Depth sensing must be requested with the session, turning it on later only occludes with planes
+                if (this.session && this.sceneManager) {
+                    this.updateOcclusionManager();
+                }
+                break;
+            case "manifest":
+            case "src":
+                if (this.initialized) {
+                    this.loadManifest();
+                }
+                break;
+        }
+    }
+
+    init() {
+        this.initialized = true;
+        // Always setup the AR button first
+        this.setupARButton();
+
+        if (this.getManifestUrl() !== this.manifestUrl) {
+            this.loadManifest();
+        }
+
+        // Then initialize the appropriate mode
+        if (this.mode === MODES.VIEWER) {
+            this.initViewerMode();
+        }
+    }
+
+    deinit() {
+        this.initialized = false;
+        this.teardownScene();
+        if (this.startButton) {
+            this.startButton.remove();
+            this.startButton = null;
+        }
+        if (this.userButton) {
+            this.userButton.removeEventListener("click", this.onUserButtonClick);
+            this.userButton = null;
+        }
+    }
+
+    rebuild() {
+        if (!this.initialized) {
+            return;
+        }
+        if (this.session) {
+            // onSessionEnd re-initializes the element with the new configuration
+            this.session.end().catch((error) => console.error("Error ending WebXR session:", error));
+            return;
+        }
+        this.deinit();
+        this.init();
+    }
+
+    setupARButton() {
+        this.userButton = document.querySelector("[kitcore-webar-button]");
+        if (!this.userButton && this.autoGenerateButton && this.mode !== MODES.VIEWER) {
+            this.createAutoButton();
+        } else if (this.userButton) {
+            this.onUserButtonClick = () => this.startAR();
+            this.userButton.addEventListener("click", this.onUserButtonClick);
+        }
+    }
+
+    emit(name, detail = {}) {
+        this.dispatchEvent(new CustomEvent(name, {
+            detail,
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    startAR() {
+        if (this.mode === MODES.VIEWER) {
+            // Don't proceed if AR is disabled
+            if (!this.arEnabled) {
+                return Promise.resolve();
+            }
+            return this.openNativeAR();
+        }
+        return this.requestWebXRSession();
+    }
+
+    endAR() {
+        if (!this.session) {
+            return Promise.resolve();
+        }
+        return this.session.end();
+    }
+
+    getObjects() {
+        if (this.mode === MODES.VIEWER) {
+            return (this.viewerObjects || []).map(obj => obj.model).filter(Boolean);
+        }
+        if (this.mode === MODES.FLOOR || this.mode === MODES.WALL) {
+            return (this.placedObjects || []).map(placed => placed.object);
+        }
+        if (this.mode === MODES.IMAGE) {
+            return this.markerObjects.map(record => record.object).filter(Boolean);
+        }
+        return this.objects.map(obj => obj.object).filter(Boolean);
+    }
+
+    loadModel(modelLoader, modelSrc, options = {}) {
+        return modelLoader.loadModel(modelSrc, {
+            ...options,
+            onProgress: (xhr) => {
+                this.emit(EVENTS.MODEL_LOAD_PROGRESS, {
+                    src: modelSrc,
+                    loaded: xhr.loaded,
+                    total: xhr.total,
+                    progress: xhr.total ? xhr.loaded / xhr.total : null
+                });
+            }
+        }).then((object) => {
+            this.emit(EVENTS.MODEL_LOADED, { src: modelSrc, object });
+            return object;
+        }).catch((error) => {
+            this.emit(EVENTS.MODEL_ERROR, { src: modelSrc, error });
+            throw error;
+        });
+    }
+
+    isOcclusionEnabled() {
+        return this.hasAttribute("occlusion") && this.getAttribute("occlusion") !== "false";
+    }
+
+    // Creates, updates or removes the occlusion manager to match the occlusion attribute
+    updateOcclusionManager() {
+        const enabled = this.isOcclusionEnabled();
+        const debug = this.getAttribute("occlusion") === "debug";
+        if (enabled && !this.occlusionManager) {
+            this.occlusionManager = new OcclusionManager(this.sceneManager.scene, this.sceneManager.renderer, { debug });
+        } else if (enabled) {
+            this.occlusionManager.setDebug(debug);
+        } else if (this.occlusionManager) {
+            this.occlusionManager.dispose();
+            this.occlusionManager = null;
+        }
+    }
+
+    updateOcclusion(frame) {
+        if (this.occlusionManager && frame) {
+            this.occlusionManager.update(frame, this.sceneManager.renderer.xr.getReferenceSpace());
+        }
+    }
+
+    getLightingFeatures() {
+        return this.getAttribute("light-estimation") === "false" ? [] : ["light-estimation"];
+    }
+
+    // The environment image lights the viewer, and AR sessions until light estimation starts
+    applyEnvironment() {
+        const url = this.getAttribute("environment");
+        if (!url) {
+            this.sceneManager.clearEnvironment();
+            return;
+        }
+        this.sceneManager.loadEnvironment(url)
+            .catch(error => console.error(`Couldn't load the environment ${url}:`, error));
+    }
+
+    updateAnimations() {
+        if (this.modelLoader) {
+            this.modelLoader.update(this.sceneManager.clock.getDelta());
+        }
+    }
+
+    // Decoder attributes override the ModelLoader.configure() defaults, "false" disables them
+    createModelLoader() {
+        const options = {};
+        const path = (name) => (this.getAttribute(name) === "false" ? null : this.getAttribute(name));
+        if (this.hasAttribute("draco-decoder-path")) {
+            options.dracoDecoderPath = path("draco-decoder-path");
+        }
+        if (this.hasAttribute("ktx2-transcoder-path")) {
+            options.ktx2TranscoderPath = path("ktx2-transcoder-path");
+        }
+        if (this.hasAttribute("meshopt")) {
+            options.meshopt = this.getAttribute("meshopt") !== "false";
+        }
+        return new ModelLoader(this.sceneManager.scene, this.sceneManager.renderer, options);
+    }
+
+    createAutoButton() {
+        this.startButton = document.createElement("button");
+        this.startButton.innerText = "Start AR";
+        this.startButton.style.position = "absolute";
+        this.startButton.style.top = "20px";
+        this.startButton.style.left = "50%";
+        this.startButton.style.transform = "translateX(-50%)";
+        this.startButton.style.padding = "10px 20px";
+        this.startButton.style.fontSize = "16px";
+        this.startButton.style.background = "red";
+        this.startButton.style.color = "white";
+        this.startButton.style.border = "none";
+        this.startButton.style.cursor = "pointer";
+        document.body.appendChild(this.startButton);
+        this.updateAutoButton();
+
+        this.startButton.addEventListener("click", () =>
+            this.requestWebXRSession()
+        );
+    }
+
+    updateAutoButton() {
+        const unsupported = this.status === AR_STATUS.UNSUPPORTED;
+        this.startButton.innerText = unsupported ? "AR not supported" : "Start AR";
+        this.startButton.disabled = unsupported;
+        this.startButton.style.opacity = unsupported ? "0.5" : "1";
+    }
+
+    async requestWebXRSession() {
+        if (this.capabilities ? !this.isModeSupported(this.mode) : !navigator.xr) {
+            console.error(`The ${this.mode} mode is not supported on this device.`);
+            this.fallBack(AR_STATUS.UNSUPPORTED);
+            return;
+        }
+        try {
+            console.log(`Attempting to start WebXR in mode: ${this.mode}`);
+            if (this.mode === MODES.VIEWER) {
+                this.openNativeAR();
+                return;
+            }
+            if (this.mode === MODES.GPS || this.mode === MODES.ANCHORS) {
+                await HeadingManager.requestPermission();
+            }
+            let sessionInit = {};
+            if (this.mode === MODES.ANCHORS) {
+                sessionInit = {
+                    requiredFeatures: ["local-floor", "anchors"],
+                    optionalFeatures: ["dom-overlay", ...this.getLightingFeatures()],
+                    domOverlay: { root: this.domOverlayContainer }
+                };
+            } else if (this.mode === MODES.IMAGE) {
+                const images = await this.getTrackedImages();
+                if (images.length === 0) {
+                    throw new Error("No <kitcore-webar-marker> image could be loaded.");
+                }
+                this.trackedMarkers = images.map(({ marker }) => marker);
+                sessionInit = {
+                    requiredFeatures: ["local-floor", "image-tracking"],
+                    optionalFeatures: ["dom-overlay", ...this.getLightingFeatures()],
+                    trackedImages: images.map(({ marker, image }) => ({ image, widthInMeters: marker.widthInMeters })),
+                    domOverlay: { root: this.domOverlayContainer }
+                };
+            } else {
+                sessionInit = {
+                    requiredFeatures: ["local-floor", "hit-test"],
+                    optionalFeatures: ["dom-overlay", "plane-detection", ...this.getLightingFeatures()],
+                    domOverlay: { root: this.domOverlayContainer }
+                };
+                if (this.mode === MODES.FLOOR || this.mode === MODES.WALL) {
+                    // Persistent anchors keep saved placements where they were
+                    sessionInit.optionalFeatures.push("anchors");
+                }
+            }
+            if (this.isOcclusionEnabled()) {
+                // Planes are the fallback when the device has no depth sensing
+                sessionInit.optionalFeatures.push("depth-sensing");
+                if (!sessionInit.optionalFeatures.includes("plane-detection")) {
+                    sessionInit.optionalFeatures.push("plane-detection");
+                }
+                sessionInit.depthSensing = OcclusionManager.sessionInit;
+            }
+            this.session = await navigator.xr.requestSession("immersive-ar", sessionInit);
+            this.domOverlayContainer.style.display = "flex";
+            this.showHotspots(this.domOverlayContainer);
+            console.log("WebXR activated.");
+            this.initScene();
+            // Registered after initScene so three.js restores its own state before we dispose the renderer
+            this.session.addEventListener("end", () => this.onSessionEnd());
+            if (this.startButton) {
+                this.startButton.remove();
+                this.startButton = null;
+            }
+            this.setStatus(AR_STATUS.PRESENTING);
+            this.emit(EVENTS.SESSION_START, { mode: this.mode, session: this.session });
+        } catch (error) {
+            console.error("Error activating WebXR:", error);
+            this.fallBack(AR_STATUS.FAILED);
+        }
+    }
+
+    // Resolves once per page with what the browser supports. Features can only be checked through
+    // the API surface before a session starts, so a session may still refuse them.
+    static probeCapabilities() {
+        if (!KitCoreWebAR.capabilitiesProbe) {
+            const xr = navigator.xr;
+            const immersiveAR = xr && xr.isSessionSupported
+                ? xr.isSessionSupported("immersive-ar").catch(() => false)
+                : Promise.resolve(false);
+            const anchor = document.createElement("a");
+            KitCoreWebAR.capabilitiesProbe = immersiveAR.then(supported => Object.freeze({
+                webxr: !!xr,
+                immersiveAR: supported,
+                hitTest: supported && typeof XRSession !== "undefined" && "requestHitTestSource" in XRSession.prototype,
+                anchors: supported && typeof XRFrame !== "undefined" && "createAnchor" in XRFrame.prototype,
+                persistentAnchors: supported && typeof XRSession !== "undefined" && "restorePersistentAnchor" in XRSession.prototype,
+                imageTracking: supported && typeof XRFrame !== "undefined" && "getImageTrackingResults" in XRFrame.prototype,
+                geolocation: "geolocation" in navigator,
+                sceneViewer: /android/i.test(navigator.userAgent),
+                quickLook: !!(anchor.relList && anchor.relList.supports && anchor.relList.supports("ar"))
+            }));
+        }
+        return KitCoreWebAR.capabilitiesProbe;
+    }
+
+    isModeSupported(mode) {
+        return !!this.capabilities && (MODE_REQUIREMENTS[mode] || []).every(name => this.capabilities[name]);
+    }
+
+    // The mode attribute followed by the modes of the fallback attribute, e.g. fallback="gps viewer"
+    getModeChain() {
+        const modes = Object.values(MODES);
+        const fallback = (this.getAttribute("fallback") || "").split(/\s+/).filter(Boolean);
+        fallback.filter(mode => !modes.includes(mode))
+            .forEach(mode => console.error(`Invalid mode "${mode}" in the 'fallback' attribute.`));
+        return [this.requestedMode, ...fallback.filter(mode => modes.includes(mode))]
+            .filter((mode, index, chain) => chain.indexOf(mode) === index);
+    }
+
+    // Runs the first supported mode of the chain, or the requested one if none is supported
+    applyModeChain() {
+        if (!this.capabilities) {
+            this.mode = this.requestedMode;
+            return;
+        }
+        this.mode = this.getModeChain().find(mode => this.isModeSupported(mode)) || this.requestedMode;
+        this.updateStatus();
+    }
+
+    // Moves on to the next supported mode of the chain after the current one could not start
+    fallBack(status) {
+        const chain = this.getModeChain();
+        const next = chain.slice(chain.indexOf(this.mode) + 1).find(mode => this.isModeSupported(mode));
+        if (!next) {
+            this.setStatus(status);
+            return;
+        }
+        console.log(`Falling back from ${this.mode} to ${next} mode.`);
+        this.mode = next;
+        this.rebuild();
+        this.setStatus(AR_STATUS.FALLBACK);
+    }
+
+    updateStatus() {
+        if (!this.isModeSupported(this.mode)) {
+            this.setStatus(AR_STATUS.UNSUPPORTED);
+        } else {
+            this.setStatus(this.mode === this.requestedMode ? AR_STATUS.READY : AR_STATUS.FALLBACK);
+        }
+    }
+
+    // Reflected to the ar-status attribute and to a custom state for CSS
+    setStatus(status) {
+        const previous = this.status;
+        const changed = status !== previous || this.mode !== this.statusMode;
+        this.status = status;
+        this.statusMode = this.mode;
+        this.setAttribute("ar-status", status);
+        if (this.internals && this.internals.states) {
+            if (previous) {
+                KitCoreWebAR.setCustomState(this.internals.states, previous, false);
+            }
+            KitCoreWebAR.setCustomState(this.internals.states, status, true);
+        }
+        if (this.startButton) {
+            this.updateAutoButton();
+        }
+        if (changed) {
+            this.emit(EVENTS.STATUS_CHANGE, { status, mode: this.mode, capabilities: this.capabilities });
+        }
+    }
+
+    static setCustomState(states, name, enabled) {
+        // Older Chromium versions only accept the dashed form, :--name
+        try {
+            if (enabled) {
+                states.add(name);
+            } else {
+                states.delete(name);
+                states.delete(`--${name}`);
+            }
+        } catch (error) {
+            if (enabled) {
+                states.add(`--${name}`);
+            }
+        }
+    }
+
+    hasNativeAR() {
+        return !this.capabilities || this.capabilities.sceneViewer || this.capabilities.quickLook;
+    }
+
+    onSessionEnd() {
+        this.stopGeolocation();
+        this.hitTestSource = null;
+        this.transientHitTestSource = null;
+        this.dragState = null;
+        this.teardownScene();
+        this.domOverlayContainer.style.display = "none";
+        this.setOverlayMessage("");
+        this.session = null;
+        console.log("WebXR session ended.");
+        // Let the user start AR again in the same page view (the mode may have changed meanwhile)
+        if (this.initialized) {
+            this.deinit();
+            this.init();
+        }
+        this.updateStatus();
+        this.emit(EVENTS.SESSION_END, { mode: this.mode });
+    }
+
+    teardownScene() {
+        if (this.persistTimer && this.sceneManager) {
+            // The anchor can't be created anymore, store the changes against the current one
+            this.storeLayout(this.buildLayout());
+        }
+        this.removeGhost();
+        this.hideHotspots();
+        if (this.gestureController) {
+            this.gestureController.dispose();
+            this.gestureController = null;
+        }
+        if (this.reticle) {
+            this.reticle.dispose();
+            this.reticle = null;
+        }
+        if (this.planeVisualizer) {
+            this.planeVisualizer.dispose();
+            this.planeVisualizer = null;
+        }
+        if (this.occlusionManager) {
+            this.occlusionManager.dispose();
+            this.occlusionManager = null;
+        }
+        if (this.viewerCamera) {
+            this.viewerCamera.dispose();
+            this.viewerCamera = null;
+        }
+        if (this.usdzGenerator) {
+            this.usdzGenerator.dispose();
+            this.usdzGenerator = null;
+        }
+        if (this.interactionPrompt) {
+            this.interactionPrompt.remove();
+            this.interactionPrompt = null;
+        }
+        if (this.carousel) {
+            this.carousel.remove();
+            this.carousel = null;
+        }
+        if (this.placementControls) {
+            this.placementControls.remove();
+            this.placementControls = null;
+            this.placementCarousel = null;
+        }
+        if (this.arButton) {
+            this.arButton.remove();
+            this.arButton = null;
+        }
+        if (this.sceneManager) {
+            this.sceneManager.dispose();
+            this.sceneManager = null;
+        }
+        if (this.modelLoader) {
+            this.modelLoader.dispose();
+            this.modelLoader = null;
+        }
+        this.objects = [];
+        this.spatialIndex = null;
+        this.nearbyObjects = new Set();
+        this.viewerObjects = [];
+        this.catalog = [];
+        this.placedObjects = [];
+        this.markerObjects = [];
+        this.markerStates = new Map();
+        this.trackedMarkers = [];
+        this.placedObject = null;
+        this.pendingObject = null;
+        this.pendingItem = null;
+        this.pendingSrc = null;
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+        this.layoutAnchor = null;
+        this.layoutAnchorRequest = null;
+        this.layoutAnchorMatrix = null;
+        if (this.restoreState) {
+            // Retried with the next floor or wall session
+            clearTimeout(this.restoreState.timeout);
+            this.restoreState.waitingForAnchor = false;
+            this.restoreState.relocalizing = false;
+            this.restoreState.origin = null;
+        }
+    }
+
+    stopGeolocation() {
+        if (this.geoWatchId !== undefined && this.geoWatchId !== null) {
+            navigator.geolocation.clearWatch(this.geoWatchId);
+            this.geoWatchId = null;
+        }
+        if (this.headingManager) {
+            this.headingManager.stop();
+            this.headingManager = null;
+        }
+        if (this.calibrationControls) {
+            this.calibrationControls.remove();
+            this.calibrationControls = null;
+        }
+        if (this.gpsStatus) {
+            this.gpsStatus.remove();
+            this.gpsStatus = null;
+        }
+        this.geolocation = null;
+        this.cameraPosition = null;
+    }
+
+    enableGeoTracking(onUpdate) {
+        this.geolocation = new GeolocationManager();
+        this.gpsStatus = document.createElement("div");
+        this.gpsStatus.style.fontSize = "14px";
+        this.gpsStatus.innerText = "Waiting for GPS...";
+        this.domOverlayContainer.appendChild(this.gpsStatus);
+        this.geoWatchId = navigator.geolocation.watchPosition(
+            (position) => {
+                this.onGeoPosition(position);
+                onUpdate();
+            },
+            (error) => console.error("Error obtaining geolocation:", error),
+            { enableHighAccuracy: true }
+        );
+
+        this.headingManager = new HeadingManager().start();
+        this.calibrationControls = document.createElement("div");
+        this.calibrationControls.style.display = "none";
+        this.calibrationControls.style.flexDirection = "column";
+        this.calibrationControls.style.alignItems = "center";
+        this.calibrationControls.style.gap = "10px";
+        this.calibrationControls.addEventListener("beforexrselect", (e) => e.preventDefault());
+        const message = document.createElement("div");
+        message.innerText = "Move your phone in a figure 8 to calibrate the compass, or point it north and tap Align north";
+        this.calibrationControls.appendChild(message);
+        this.calibrationControls.appendChild(this.createOverlayButton("Align north", () => this.alignNorth()));
+        this.domOverlayContainer.appendChild(this.calibrationControls);
+    }
+
+    onGeoPosition(position) {
+        const minAccuracy = parseFloat(this.getAttribute("min-accuracy")) || AR_CONFIG.MIN_GPS_ACCURACY;
+        const accepted = this.geolocation.update(position.coords, position.timestamp, minAccuracy);
+        const rawAccuracy = Math.round(position.coords.accuracy);
+        this.gpsStatus.innerText = accepted
+            ? `GPS accuracy ±${Math.round(this.geolocation.accuracy)} m`
+            : `Waiting for a better GPS signal (±${rawAccuracy} m)`;
+        this.emit(EVENTS.GPS_UPDATE, {
+            latitude: this.geolocation.latitude,
+            longitude: this.geolocation.longitude,
+            accuracy: this.geolocation.accuracy,
+            rawAccuracy: position.coords.accuracy,
+            held: !accepted
+        });
+    }
+
+    updateGeoTracking(frame) {
+        if (!this.headingManager || !frame) {
+            return;
+        }
+        const viewerPose = frame.getViewerPose(this.sceneManager.renderer.xr.getReferenceSpace());
+        if (viewerPose) {
+            const { x, y, z, w } = viewerPose.transform.orientation;
+            this.cameraQuaternion = new THREE.Quaternion(x, y, z, w);
+            this.headingManager.update(this.cameraQuaternion);
+
+            // Walking moves the filtered GPS position along with the camera, so objects stay put between fixes
+            const position = new THREE.Vector3().copy(viewerPose.transform.position);
+            if (this.cameraPosition) {
+                const delta = this.headingManager.unalign({
+                    x: position.x - this.cameraPosition.x,
+                    z: position.z - this.cameraPosition.z
+                });
+                this.geolocation.predict(delta.x, -delta.z, position.y - this.cameraPosition.y);
+            }
+            this.cameraPosition = position;
+        }
+        this.calibrationControls.style.display = this.headingManager.isReliable() ? "none" : "flex";
+    }
+
+    getUserDistance(obj) {
+        return GeolocationManager.calculateDistance(
+            this.geolocation.latitude,
+            this.geolocation.longitude,
+            obj.lat,
+            obj.lon
+        );
+    }
+
+    alignNorth() {
+        if (!this.headingManager || !this.cameraQuaternion) {
+            return false;
+        }
+        return this.headingManager.alignNorth(this.cameraQuaternion);
+    }
+
+    // Converts a GPS position to the local XR space, relative to the camera and aligned with the compass.
+    // Relative altitudes are meters above the floor, absolute ones are compared with the user's GPS altitude.
+    geoToLocal(lat, lon, altitude = 0, altitudeMode = "relative") {
+        const absolute = altitudeMode === "absolute" && this.geolocation.altitude !== null;
+        const local = GeolocationManager.convertGPSToMeters(
+            lat,
+            lon,
+            this.geolocation.latitude,
+            this.geolocation.longitude,
+            absolute ? altitude : 0,
+            absolute ? this.geolocation.altitude : 0
+        );
+        const { x, z } = this.headingManager.align(local);
+        const origin = this.cameraPosition || new THREE.Vector3();
+        let y = local.y + altitude;
+        if (absolute) {
+            y = origin.y + local.y;
+        } else if (altitudeMode === "absolute") {
+            // No GPS altitude to compare with yet
+            y = local.y + AR_CONFIG.MODEL_HEIGHT;
+        }
+        return { x: origin.x + x, y, z: origin.z + z };
+    }
+
+    initScene() {
+        if (this.mode === MODES.VIEWER) {
+            this.initViewerMode();
+            return;
+        }
+        // Create scene manager
+        this.sceneManager = new SceneManager(this.container, this.mode)
+            .createScene(window.innerWidth, window.innerHeight);
+        // Requested as optional, so only used once the session has granted it
+        const enabledFeatures = this.session.enabledFeatures || [];
+        if (this.getLightingFeatures().length > 0 && enabledFeatures.includes("light-estimation")) {
+            this.sceneManager.enableLightEstimation();
+        }
+        this.applyEnvironment();
+        this.updateOcclusionManager();
+        // Initialize model loader
+        this.modelLoader = this.createModelLoader();
+        // Add camera to scene
+        this.sceneManager.scene.add(this.sceneManager.camera);
+        // Handle different AR modes
+        if (this.mode === MODES.FLOOR || this.mode === MODES.WALL) {
+            if (this.mode === MODES.FLOOR) {
+                this.setOverlayMessage("Move around to detect a surface");
+            } else {
+                this.setOverlayMessage("Move to find a vertical surface");
+            }
+            this.enablePlacement();
+        }
+        if (this.mode === MODES.GPS) {
             this.loadObjects();
             this.enableGPS();
         }
@@ -363,113 +3446,709 @@ class KitCoreWebAR extends HTMLElement {
             this.loadObjects();
             this.enableAnchors();
         }
+        if (this.mode === MODES.IMAGE) {
+            this.setOverlayMessage("Point the camera at the image");
+            this.loadMarkerObjects();
+            this.enableImageTracking();
+        }
         // Set XR session
         this.sceneManager.renderer.xr.setSession(this.session);
         // GPS mode rendering loop
         if (this.mode === MODES.GPS) {
-            this.sceneManager.renderer.setAnimationLoop(() => {
-                this.objects.forEach(obj => {
-                    if (obj.lookatuser && obj.object.visible) {
+            this.sceneManager.renderer.setAnimationLoop((timestamp, frame) => {
+                this.updateGeoTracking(frame);
+                this.updateAnimations();
+                this.updateOcclusion(frame);
+                this.nearbyObjects.forEach(obj => {
+                    if (!obj.object || !obj.object.visible) {
+                        return;
+                    }
+                    // The filtered position and the heading keep being refined, so positions are updated every frame
+                    const { x, y, z } = this.geoToLocal(obj.lat, obj.lon, obj.altitude, obj.altitudeMode);
+                    obj.object.position.set(x, y, z);
+                    if (obj.lookatuser) {
                         obj.object.lookAt(this.sceneManager.camera.position);
+                    } else {
+                        obj.object.rotation.set(0, this.headingManager.northRotation, 0);
                     }
                 });
                 this.sceneManager.renderer.render(
                     this.sceneManager.scene,
                     this.sceneManager.camera
                 );
+                this.updateHotspots();
             });
         }
     }
 
+    parseObjectElement(element) {
+        return {
+            lat: parseFloat(element.getAttribute("lat")),
+            lon: parseFloat(element.getAttribute("lon")),
+            src: element.getAttribute("src"),
+            distance: parseFloat(element.getAttribute("distance")) || null,
+            altitude: element.hasAttribute("altitude") && !isNaN(parseFloat(element.getAttribute("altitude")))
+                ? parseFloat(element.getAttribute("altitude"))
+                : AR_CONFIG.MODEL_HEIGHT,
+            altitudeMode: element.getAttribute("altitude-mode") === "absolute" ? "absolute" : "relative",
+            lookatuser: element.getAttribute("lookatuser") === "true"
+        };
+    }
+
     loadObjects() {
+        this.spatialIndex = new SpatialIndex();
+        this.nearbyObjects = new Set();
+        this.maxObjectDistance = 0;
         this.querySelectorAll("kitcore-webar-object").forEach((element) => {
-            const lat = parseFloat(element.getAttribute("lat"));
-            const lon = parseFloat(element.getAttribute("lon"));
-            const src = element.getAttribute("src");
-            const distance = parseFloat(element.getAttribute("distance")) || null;
-            const altitude = parseFloat(element.getAttribute("altitude")) || AR_CONFIG.MODEL_HEIGHT;
-            const lookatuser = element.getAttribute("lookatuser") === "true";
+            const { lat, lon, src, distance, altitude, lookatuser, altitudeMode } = this.parseObjectElement(element);
             if (lat && lon && src) {
-                this.addObject(lat, lon, src, distance, altitude, lookatuser);
+                this.addObject(lat, lon, src, distance, altitude, lookatuser, element, altitudeMode);
+            }
+        });
+        this.pois.forEach(poi => this.addRecord({ ...poi }));
+    }
+
+    getManifestUrl() {
+        return this.getAttribute("manifest") || this.getAttribute("src") || null;
+    }
+
+    // Fetches the manifest attribute again, replacing the points of interest it declared
+    async loadManifest() {
+        const url = this.getManifestUrl();
+        this.manifestUrl = url;
+        if (!url) {
+            return this.loadPOIs({ type: "FeatureCollection", features: [] });
+        }
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const manifest = await response.json();
+            if (this.manifestUrl !== url) {
+                // The attribute changed while fetching
+                return null;
+            }
+            return this.loadPOIs(manifest);
+        } catch (error) {
+            console.error(`Couldn't load the manifest ${url}:`, error);
+            if (this.manifestUrl === url) {
+                // Fetched again by the next init()
+                this.manifestUrl = null;
+            }
+            this.emit(EVENTS.POIS_ERROR, { src: url, error });
+            return null;
+        }
+    }
+
+    // Accepts a GeoJSON FeatureCollection of Points, or an array of { lat, lon, src, ... } entries
+    loadPOIs(manifest) {
+        let entries = null;
+        if (manifest && manifest.type === "FeatureCollection" && Array.isArray(manifest.features)) {
+            entries = manifest.features;
+        } else if (Array.isArray(manifest)) {
+            entries = manifest.map(entry => ({
+                type: "Feature",
+                id: entry && entry.id,
+                geometry: { type: "Point", coordinates: entry ? [entry.lon, entry.lat] : null },
+                properties: entry
+            }));
+        }
+        if (!entries) {
+            const error = new Error("Expected a GeoJSON FeatureCollection or an array of points of interest.");
+            console.error(error.message);
+            this.emit(EVENTS.POIS_ERROR, { src: this.manifestUrl || null, error });
+            return { count: 0, errors: [] };
+        }
+        const pois = [];
+        const errors = [];
+        entries.forEach((feature, index) => {
+            try {
+                const poi = this.parsePOI(feature, index);
+                if (pois.some(other => other.poi === poi.poi)) {
+                    throw new Error("duplicate id");
+                }
+                pois.push(poi);
+            } catch (error) {
+                const id = feature && feature.id !== undefined ? feature.id : null;
+                console.error(`Invalid point of interest ${id !== null ? id : index}: ${error.message}`);
+                errors.push({ index, id, message: error.message });
+            }
+        });
+        this.pois = pois;
+        this.syncPOIs();
+        this.emit(EVENTS.POIS_LOADED, { count: pois.length, errors });
+        return { count: pois.length, errors };
+    }
+
+    parsePOI(feature, index) {
+        if (!feature || feature.type !== "Feature") {
+            throw new Error("not a GeoJSON Feature");
+        }
+        if (!feature.geometry || feature.geometry.type !== "Point" || !Array.isArray(feature.geometry.coordinates)) {
+            throw new Error("geometry must be a Point");
+        }
+        const [lon, lat, elevation] = feature.geometry.coordinates;
+        if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lon) || lon < -180 || lon > 180) {
+            throw new Error("coordinates must be [longitude, latitude] in degrees");
+        }
+        const properties = feature.properties || {};
+        const src = properties.src || properties.model || properties.url;
+        if (typeof src !== "string" || !src) {
+            throw new Error("missing model URL (src)");
+        }
+        const number = (name) => {
+            const value = properties[name];
+            if (value === undefined || value === null) {
+                return null;
+            }
+            const parsed = typeof value === "string" ? parseFloat(value) : value;
+            if (!Number.isFinite(parsed)) {
+                throw new Error(`${name} must be a number`);
+            }
+            return parsed;
+        };
+        const distance = number("distance");
+        const scale = number("scale");
+        let altitude = number("altitude");
+        let altitudeMode = (properties["altitude-mode"] || properties.altitudeMode) === "absolute" ? "absolute" : "relative";
+        // A third coordinate is an ellipsoidal height in GeoJSON
+        if (altitude === null && Number.isFinite(elevation)) {
+            altitude = elevation;
+            altitudeMode = "absolute";
+        }
+        return {
+            element: null,
+            poi: feature.id !== undefined ? `id:${feature.id}` : `index:${index}`,
+            lat,
+            lon,
+            src,
+            distance,
+            altitude: altitude === null ? AR_CONFIG.MODEL_HEIGHT : altitude,
+            altitudeMode,
+            lookatuser: properties.lookatuser === true || properties.lookatuser === "true",
+            scale,
+            label: properties.label !== undefined && properties.label !== null ? String(properties.label) : null,
+            autoplay: properties.autoplay === true || properties.autoplay === "true",
+            animationName: properties["animation-name"] || properties.animationName || null
+        };
+    }
+
+    syncPOIs() {
+        // Outside a session the points of interest are read when the next one starts
+        if (!this.modelLoader || (this.mode !== MODES.GPS && this.mode !== MODES.ANCHORS)) {
+            return;
+        }
+        const keys = new Set(this.pois.map(poi => poi.poi));
+        this.objects
+            .filter(obj => obj.poi && !keys.has(obj.poi))
+            .forEach(obj => this.removeObject(obj));
+        this.pois.forEach((poi) => {
+            const obj = this.objects.find(o => o.poi === poi.poi);
+            if (!obj) {
+                this.addRecord({ ...poi });
+                return;
+            }
+            this.updateRecord(obj, poi);
+        });
+        this.updateGeoObjects();
+    }
+
+    syncObjects() {
+        if (this.mode === MODES.VIEWER) {
+            if (!this.sceneManager) {
+                // The viewer could not start without objects, retry now that children changed
+                if (this.initialized && this.querySelector("kitcore-webar-object")) {
+                    this.initViewerMode();
+                }
+                return;
+            }
+            this.syncViewerObjects();
+            return;
+        }
+        // Outside a session the objects are read when the next one starts
+        if (!this.modelLoader) {
+            return;
+        }
+        if (this.mode === MODES.FLOOR || this.mode === MODES.WALL) {
+            this.syncPlacementCatalog();
+        } else if (this.mode === MODES.IMAGE) {
+            this.syncMarkerObjects();
+        } else {
+            this.syncGeoObjects();
+        }
+    }
+
+    syncGeoObjects() {
+        const elements = Array.from(this.querySelectorAll("kitcore-webar-object"));
+        elements.forEach((element) => {
+            const parsed = this.parseObjectElement(element);
+            const obj = this.objects.find(o => o.element === element);
+            if (!parsed.lat || !parsed.lon || !parsed.src) {
+                if (obj) {
+                    this.removeObject(obj);
+                }
+                return;
+            }
+            if (!obj) {
+                this.addObject(parsed.lat, parsed.lon, parsed.src, parsed.distance, parsed.altitude, parsed.lookatuser, element, parsed.altitudeMode);
+                return;
             }
+            this.updateRecord(obj, parsed);
         });
+        this.objects
+            .filter(obj => obj.element && !elements.includes(obj.element))
+            .forEach(obj => this.removeObject(obj));
+        this.updateGeoObjects();
     }
 
-    async addObject(lat, lon, modelSrc, distance = null, altitude = AR_CONFIG.MODEL_HEIGHT, lookatuser = false) {
+    updateGeoObjects() {
+        if (this.mode === MODES.GPS) {
+            this.updateGPSObjects();
+        } else {
+            this.refreshNearbyObjects();
+        }
+    }
+
+    updateRecord(obj, changes) {
+        const reload = obj.src !== changes.src || obj.scale !== changes.scale || obj.label !== changes.label;
+        const moved = obj.lat !== changes.lat || obj.lon !== changes.lon ||
+            obj.altitude !== changes.altitude || obj.altitudeMode !== changes.altitudeMode;
+        Object.assign(obj, changes);
+        this.indexObject(obj);
+        if (moved) {
+            this.releaseAnchor(obj);
+        }
+        // Models out of the prefetch radius are loaded once the user gets close
+        if (reload && (obj.object || this.nearbyObjects.has(obj))) {
+            this.loadObjectModel(obj);
+        }
+    }
+
+    indexObject(obj) {
+        this.spatialIndex.insert(obj);
+        this.maxObjectDistance = Math.max(this.maxObjectDistance, obj.distance || 0);
+    }
+
+    getDetectionRadius(obj) {
+        return obj.distance || parseFloat(this.getAttribute("distance")) || AR_CONFIG.DETECTION_RADIUS;
+    }
+
+    getPrefetchRadius(obj) {
+        const prefetch = parseFloat(this.getAttribute("prefetch-distance")) || AR_CONFIG.PREFETCH_RADIUS;
+        return Math.max(prefetch, this.getDetectionRadius(obj));
+    }
+
+    // Finds the points of interest within the prefetch radius through the spatial index,
+    // loads their models and releases the ones left behind
+    refreshNearbyObjects() {
+        if (!this.spatialIndex || !this.geolocation || !this.geolocation.hasPosition()) {
+            return;
+        }
+        const { latitude, longitude } = this.geolocation;
+        const prefetch = parseFloat(this.getAttribute("prefetch-distance")) || AR_CONFIG.PREFETCH_RADIUS;
+        const detection = parseFloat(this.getAttribute("distance")) || AR_CONFIG.DETECTION_RADIUS;
+        const radius = Math.max(prefetch, detection, this.maxObjectDistance);
+        const nearby = new Set(
+            this.spatialIndex.query(latitude, longitude, radius)
+                .filter(obj => this.getUserDistance(obj) <= this.getPrefetchRadius(obj))
+        );
+        this.nearbyObjects.forEach((obj) => {
+            if (nearby.has(obj)) {
+                return;
+            }
+            this.updateRangeState(obj, false, this.getUserDistance(obj));
+            this.releaseAnchor(obj);
+            if (obj.object) {
+                obj.object.visible = false;
+            }
+        });
+        this.nearbyObjects = nearby;
+        nearby.forEach((obj) => {
+            if (!obj.object) {
+                this.loadObjectModel(obj);
+            }
+        });
+        this.enforceMemoryBudget();
+    }
+
+    // Disposes the models of points of interest left behind, farthest first, until they fit in the budget.
+    // A cached glTF is charged once, and only when no model in range still uses it, since only then
+    // does unloading its clones free it.
+    enforceMemoryBudget() {
+        if (!this.geolocation || !this.geolocation.hasPosition()) {
+            return;
+        }
+        const budget = (parseFloat(this.getAttribute("memory-budget")) || AR_CONFIG.MEMORY_BUDGET) * 1024 * 1024;
+        const loaded = this.objects.filter(obj => obj.object);
+        const nearbyKeys = new Set(loaded.filter(obj => this.nearbyObjects.has(obj)).map(obj => obj.object.cacheKey));
+        const evictable = loaded.filter(obj => !this.nearbyObjects.has(obj));
+        // Clones left behind for each cached glTF that is not used in range
+        const clones = new Map();
+        evictable.forEach((obj) => {
+            const key = obj.object.cacheKey;
+            if (key && !nearbyKeys.has(key)) {
+                clones.set(key, (clones.get(key) || 0) + 1);
+            }
+        });
+        let used = evictable.reduce((total, obj) => total + (obj.memory || 0), 0);
+        clones.forEach((count, key) => {
+            used += ModelLoader.estimateCacheMemory(key);
+        });
+        if (used <= budget) {
+            return;
+        }
+        const farthestFirst = evictable
+            .map(obj => ({ obj, distance: this.getUserDistance(obj) }))
+            .sort((a, b) => b.distance - a.distance);
+        for (const { obj } of farthestFirst) {
+            if (used <= budget) {
+                break;
+            }
+            const key = obj.object.cacheKey;
+            used -= obj.memory || 0;
+            if (clones.has(key)) {
+                clones.set(key, clones.get(key) - 1);
+                if (clones.get(key) === 0) {
+                    // Last clone of the glTF: releasing it disposes the shared resources
+                    used -= ModelLoader.estimateCacheMemory(key);
+                    clones.delete(key);
+                }
+            }
+            this.unloadObjectModel(obj);
+        }
+    }
+
+    unloadObjectModel(obj) {
+        this.releaseAnchor(obj);
+        if (obj.object) {
+            this.modelLoader.unloadModel(obj.object);
+        }
+        obj.object = null;
+        obj.memory = 0;
+    }
+
+    async addObject(lat, lon, modelSrc, distance = null, altitude = AR_CONFIG.MODEL_HEIGHT, lookatuser = false, element = null, altitudeMode = "relative") {
+        return this.addRecord({ element, lat, lon, src: modelSrc, distance, altitude, altitudeMode, lookatuser });
+    }
+
+    // Models are not fetched until the user is within the prefetch radius
+    async addRecord(record) {
+        const obj = { ...record, object: null, anchor: null, inRange: false, memory: 0 };
+        this.objects.push(obj);
+        this.indexObject(obj);
+        if (this.geolocation && this.geolocation.hasPosition() && this.getUserDistance(obj) <= this.getPrefetchRadius(obj)) {
+            this.nearbyObjects.add(obj);
+            await this.loadObjectModel(obj);
+        }
+        return obj;
+    }
+
+    async loadObjectModel(obj) {
+        const modelLoader = this.modelLoader;
+        const modelSrc = obj.src;
+        const label = obj.label;
+        const request = `${modelSrc}|${obj.scale}|${label}`;
+        if (obj.loading === request) {
+            return;
+        }
+        obj.loading = request;
         try {
-            const object = await this.modelLoader.loadModel(modelSrc, {
-                scale: AR_CONFIG.MODEL_SCALE,
+            const object = await this.loadModel(modelLoader, modelSrc, {
+                scale: obj.scale || AR_CONFIG.MODEL_SCALE,
             });
-            object.visible = false;
-            this.objects.push({ lat, lon, object, distance, altitude, lookatuser, anchor: null });
+            if (this.modelLoader !== modelLoader || obj.src !== modelSrc || obj.label !== label || !this.objects.includes(obj)) {
+                // The session ended, the object was removed or its src changed while loading
+                modelLoader.unloadModel(object);
+                return;
+            }
+            if (label) {
+                this.addLabel(object, label);
+            }
+            if (obj.object) {
+                // Swap the model in place
+                object.position.copy(obj.object.position);
+                object.quaternion.copy(obj.object.quaternion);
+                object.visible = obj.object.visible;
+                modelLoader.unloadModel(obj.object);
+            } else {
+                object.visible = false;
+            }
+            obj.object = object;
+            obj.memory = ModelLoader.estimateMemory(object);
+            if (obj.element) {
+                obj.element.bindObject(object);
+            } else if (obj.autoplay && object.animationController) {
+                object.animationController.play(obj.animationName || undefined);
+            }
+            this.enforceMemoryBudget();
         } catch (error) {
             console.error("Error loading object:", error);
+        } finally {
+            if (obj.loading === request) {
+                obj.loading = null;
+            }
         }
     }
 
-    enableGPS() {
-        navigator.geolocation.watchPosition(
-            (position) => {
-                const userLat = position.coords.latitude;
-                const userLon = position.coords.longitude;
-                this.objects.forEach(({ lat, lon, object, distance, altitude }) => {
-                    const detectionRadius = distance || this.getAttribute("distance") || AR_CONFIG.DETECTION_RADIUS;
-                    const distanceToUser = GeolocationManager.calculateDistance(userLat, userLon, lat, lon);
-                    if (distanceToUser < detectionRadius) {
-                        object.visible = true;
-                        const { x, z } = GeolocationManager.convertGPSToMeters(lat, lon, userLat, userLon);
-                        object.position.set(x, altitude, z);
-                    } else {
-                        object.visible = false;
+    // Text sprite floating above the model, always facing the camera
+    addLabel(object, text) {
+        const canvas = document.createElement("canvas");
+        const context = canvas.getContext("2d");
+        const font = "bold 48px Arial, sans-serif";
+        context.font = font;
+        canvas.width = Math.ceil(context.measureText(text).width) + 48;
+        canvas.height = 80;
+        context.font = font;
+        context.fillStyle = "rgba(0, 0, 0, 0.6)";
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = "white";
+        context.textAlign = "center";
+        context.textBaseline = "middle";
+        context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthTest: false }));
+        sprite.scale.set((AR_CONFIG.LABEL_HEIGHT * canvas.width) / canvas.height, AR_CONFIG.LABEL_HEIGHT, 1);
+        const top = new THREE.Box3().setFromObject(object).max.y - object.position.y;
+        sprite.position.set(0, top + AR_CONFIG.LABEL_HEIGHT, 0);
+        sprite.renderOrder = 1;
+        object.add(sprite);
+    }
+
+    removeObject(obj) {
+        const index = this.objects.indexOf(obj);
+        if (index === -1) {
+            return;
+        }
+        this.objects.splice(index, 1);
+        this.spatialIndex.remove(obj);
+        this.nearbyObjects.delete(obj);
+        this.unloadObjectModel(obj);
+    }
+
+    releaseAnchor(obj) {
+        if (obj.anchor) {
+            if (typeof obj.anchor.delete === "function") {
+                obj.anchor.delete();
+            }
+            obj.anchor = null;
+        }
+    }
+
+    // Markers with a decoded image and a width, in the order they are given to the session
+    async getTrackedImages() {
+        const markers = Array.from(this.querySelectorAll("kitcore-webar-marker"));
+        const images = await Promise.all(markers.map((marker) => {
+            if (!marker.widthInMeters) {
+                console.error(`Attribute 'width' not defined in <kitcore-webar-marker src="${marker.getAttribute("src")}">.`);
+                return null;
+            }
+            return (marker.bitmap || marker.loadBitmap()).then(image => ({ marker, image }), () => null);
+        }));
+        return images.filter(Boolean);
+    }
+
+    loadMarkerObjects() {
+        this.markerObjects = [];
+        this.markerStates = new Map();
+        this.syncMarkerObjects();
+    }
+
+    syncMarkerObjects() {
+        const elements = Array.from(this.querySelectorAll("kitcore-webar-object[marker]"));
+        this.markerObjects = this.markerObjects.filter((record) => {
+            const element = record.element;
+            if (elements.includes(element) && element.getAttribute("src") === record.src &&
+                element.getAttribute("marker") === record.markerName) {
+                return true;
+            }
+            if (record.object) {
+                this.modelLoader.unloadModel(record.object);
+            }
+            return false;
+        });
+        elements.forEach((element) => {
+            if (this.markerObjects.some(record => record.element === element)) {
+                return;
+            }
+            const src = element.getAttribute("src");
+            if (!src) {
+                console.error("Attribute 'src' not defined in <kitcore-webar-object>.");
+                return;
+            }
+            const markerName = element.getAttribute("marker");
+            if (!this.trackedMarkers.some(marker => marker.markerName === markerName)) {
+                console.error(`Couldn't find a <kitcore-webar-marker> named "${markerName}".`);
+            }
+            const record = { element, src, markerName, object: null };
+            this.markerObjects.push(record);
+            const modelLoader = this.modelLoader;
+            this.loadModel(modelLoader, src)
+                .then((object) => {
+                    if (this.modelLoader !== modelLoader || !this.markerObjects.includes(record)) {
+                        modelLoader.unloadModel(object);
+                        return;
+                    }
+                    // Shown once its marker is found
+                    object.visible = false;
+                    record.object = object;
+                    element.bindObject(object);
+                })
+                .catch(error => console.error("Error loading marker model:", error));
+        });
+    }
+
+    enableImageTracking() {
+        this.session.getTrackedImageScores()
+            .then((scores) => {
+                scores.forEach((score, index) => {
+                    if (score === "untrackable") {
+                        console.error(`Marker "${this.trackedMarkers[index].markerName}" has too few details to be tracked.`);
                     }
                 });
-            },
-            (error) => console.error("Error obtaining geolocation:", error),
-            { enableHighAccuracy: true }
-        );
+            })
+            .catch(error => console.error("Couldn't check the marker images:", error));
+        this.sceneManager.renderer.setAnimationLoop((timestamp, frame) => {
+            this.updateAnimations();
+            this.updateOcclusion(frame);
+            if (frame) {
+                this.updateImageTracking(frame);
+            }
+            this.sceneManager.renderer.render(this.sceneManager.scene, this.sceneManager.camera);
+            this.updateHotspots();
+        });
+    }
+
+    updateImageTracking(frame) {
+        const referenceSpace = this.sceneManager.renderer.xr.getReferenceSpace();
+        const results = new Map();
+        frame.getImageTrackingResults().forEach((result) => {
+            const marker = this.trackedMarkers[result.index];
+            const pose = frame.getPose(result.imageSpace, referenceSpace);
+            if (marker && pose) {
+                results.set(marker, { pose, state: result.trackingState, measuredWidth: result.measuredWidthInMeters });
+            }
+        });
+        this.trackedMarkers.forEach((marker) => {
+            const result = results.get(marker);
+            this.setMarkerState(marker, result ? result.state : "lost", result);
+        });
+        // Models stand on the image: its pose has the Y axis pointing out of the image
+        this.markerObjects.forEach((record) => {
+            if (!record.object) {
+                return;
+            }
+            const marker = this.trackedMarkers.find(m => m.markerName === record.markerName);
+            const result = marker && results.get(marker);
+            if (!result) {
+                record.object.visible = false;
+                return;
+            }
+            record.object.position.copy(result.pose.transform.position);
+            record.object.quaternion.copy(result.pose.transform.orientation);
+            record.object.visible = true;
+        });
+        const states = Array.from(this.markerStates.values());
+        if (states.includes("tracked")) {
+            this.setOverlayMessage("");
+        } else if (states.includes("emulated")) {
+            this.setOverlayMessage("Image out of view, point the camera back at it");
+        } else {
+            this.setOverlayMessage("Point the camera at the image");
+        }
+    }
+
+    // state: "tracked", "emulated" (out of view, pose estimated) or "lost"
+    setMarkerState(marker, state, result) {
+        const previous = this.markerStates.get(marker);
+        if (previous === state) {
+            return;
+        }
+        this.markerStates.set(marker, state);
+        // Markers start lost, only a marker that was found can be lost
+        if (!previous && state === "lost") {
+            return;
+        }
+        const events = { tracked: EVENTS.MARKER_TRACKED, emulated: EVENTS.MARKER_EMULATED, lost: EVENTS.MARKER_LOST };
+        this.emit(events[state], {
+            name: marker.markerName,
+            marker,
+            state,
+            measuredWidth: result ? result.measuredWidth : null,
+            objects: this.markerObjects
+                .filter(record => record.markerName === marker.markerName && record.object)
+                .map(record => record.object)
+        });
+    }
+
+    enableGPS() {
+        this.enableGeoTracking(() => this.updateGPSObjects());
+    }
+
+    updateGPSObjects() {
+        if (!this.geolocation || !this.geolocation.hasPosition()) {
+            return;
+        }
+        this.refreshNearbyObjects();
+        this.nearbyObjects.forEach((obj) => {
+            const { object } = obj;
+            if (!object) {
+                return;
+            }
+            const detectionRadius = this.getDetectionRadius(obj);
+            const distanceToUser = this.getUserDistance(obj);
+            this.updateRangeState(obj, distanceToUser < detectionRadius, distanceToUser);
+            // Positions are updated every frame by the render loop
+            object.visible = distanceToUser < detectionRadius;
+        });
     }
 
     enableAnchors() {
-        navigator.geolocation.watchPosition(
-            (position) => {
-                this.currentUserLat = position.coords.latitude;
-                this.currentUserLon = position.coords.longitude;
-            },
-            (error) => console.error("Error obtaining geolocation:", error),
-            { enableHighAccuracy: true }
-        );
+        this.enableGeoTracking(() => this.refreshNearbyObjects());
         this.sceneManager.renderer.setAnimationLoop((timestamp, frame) => {
-            if (frame && this.currentUserLat !== undefined && this.currentUserLon !== undefined) {
+            this.updateGeoTracking(frame);
+            this.updateAnimations();
+            this.updateOcclusion(frame);
+            if (frame && this.geolocation.hasPosition()) {
                 const referenceSpace = this.sceneManager.renderer.xr.getReferenceSpace();
-                this.objects.forEach((obj) => {
-                    const detectionRadius = obj.distance || this.getAttribute("distance") || AR_CONFIG.DETECTION_RADIUS;
-                    const distanceToUser = GeolocationManager.calculateDistance(
-                        this.currentUserLat,
-                        this.currentUserLon,
-                        obj.lat,
-                        obj.lon
-                    );
+                this.nearbyObjects.forEach((obj) => {
+                    if (!obj.object) {
+                        return;
+                    }
+                    const detectionRadius = this.getDetectionRadius(obj);
+                    const distanceToUser = this.getUserDistance(obj);
+                    this.updateRangeState(obj, distanceToUser < detectionRadius, distanceToUser);
                     if (distanceToUser < detectionRadius) {
-                        if (!obj.anchor) {
-                            const { x, z } = GeolocationManager.convertGPSToMeters(
-                                obj.lat,
-                                obj.lon,
-                                this.currentUserLat,
-                                this.currentUserLon
+                        if (!obj.anchor && !obj.anchorPending) {
+                            const { x, y, z } = this.geoToLocal(obj.lat, obj.lon, obj.altitude, obj.altitudeMode);
+                            // Oriented so the model's native forward faces the real north
+                            const north = new THREE.Quaternion().setFromAxisAngle(
+                                new THREE.Vector3(0, 1, 0),
+                                this.headingManager.northRotation
                             );
-                            const y = obj.altitude;
-                            const transform = new XRRigidTransform({ x, y, z });
+                            const transform = new XRRigidTransform({ x, y, z }, north);
+                            obj.anchorPending = true;
                             frame.createAnchor(transform, referenceSpace)
                                 .then((anchor) => {
+                                    obj.anchorPending = false;
+                                    if (!this.objects.includes(obj) || !obj.object) {
+                                        anchor.delete();
+                                        return;
+                                    }
                                     obj.anchor = anchor;
                                     obj.object.visible = true;
                                 })
                                 .catch((err) => {
+                                    obj.anchorPending = false;
                                     console.error("Error creating anchor:", err);
                                 });
-                        } else {
+                        } else if (obj.anchor) {
                             const anchorPose = frame.getPose(obj.anchor.anchorSpace, referenceSpace);
-                            if (anchorPose) {
+                            if (anchorPose && this.hasAnchorDrifted(obj, anchorPose)) {
+                                // Re-created on the next frame from the corrected position
+                                this.releaseAnchor(obj);
+                            } else if (anchorPose) {
                                 obj.object.position.set(
                                     anchorPose.transform.position.x,
                                     anchorPose.transform.position.y,
@@ -486,12 +4165,7 @@ class KitCoreWebAR extends HTMLElement {
                         }
                     } else {
                         obj.object.visible = false;
-                        if (obj.anchor) {
-                            if (typeof obj.anchor.delete === "function") {
-                                obj.anchor.delete();
-                            }
-                            obj.anchor = null;
-                        }
+                        this.releaseAnchor(obj);
                     }
                     if (obj.lookatuser && obj.object.visible) {
                         obj.object.lookAt(this.sceneManager.camera.position);
@@ -499,117 +4173,1074 @@ class KitCoreWebAR extends HTMLElement {
                 });
             }
             this.sceneManager.renderer.render(this.sceneManager.scene, this.sceneManager.camera);
+            this.updateHotspots();
+        });
+    }
+
+    hasAnchorDrifted(obj, anchorPose) {
+        const { x, z } = this.geoToLocal(obj.lat, obj.lon);
+        const drift = Math.hypot(anchorPose.transform.position.x - x, anchorPose.transform.position.z - z);
+        // Far objects tolerate a proportional error, a few degrees of heading move them several meters
+        // The camera position is unknown until tracking has produced a viewer pose
+        const distance = this.cameraPosition
+            ? Math.hypot(x - this.cameraPosition.x, z - this.cameraPosition.z)
+            : 0;
+        return drift > Math.max(AR_CONFIG.REANCHOR_DISTANCE, distance * 0.1);
+    }
+
+    updateRangeState(obj, inRange, distanceToUser) {
+        if (obj.inRange === inRange) {
+            return;
+        }
+        obj.inRange = inRange;
+        this.emit(inRange ? EVENTS.OBJECT_ENTER_RANGE : EVENTS.OBJECT_EXIT_RANGE, {
+            object: obj.object,
+            lat: obj.lat,
+            lon: obj.lon,
+            distance: distanceToUser,
+            src: obj.src,
+            label: obj.label || null
+        });
+    }
+
+    syncPlacementCatalog() {
+        const elements = Array.from(this.querySelectorAll("kitcore-webar-object"));
+        if (elements.length === 0) {
+            console.error("Couldn't find element <kitcore-webar-object>.");
+        } else if (elements.some(element => !element.getAttribute("src"))) {
+            console.error("Attribute 'src' not defined in <kitcore-webar-object>.");
+        }
+        const selectedItem = this.catalog[this.selectedCatalogIndex];
+        this.catalog = elements
+            .filter(element => element.getAttribute("src"))
+            .map(element => ({ element, src: element.getAttribute("src"), icon: element.getAttribute("icon") }));
+        const selectedIndex = selectedItem ? this.catalog.findIndex(item => item.element === selectedItem.element) : -1;
+        this.selectedCatalogIndex = Math.max(selectedIndex, 0);
+
+        // Instances follow their element: removed with it, reloaded in place when its src changes
+        [...this.placedObjects].forEach((placed) => {
+            const item = this.catalog.find(i => i.element === placed.element);
+            if (!item) {
+                this.removePlacedObject(placed);
+            } else if (item.src !== placed.src) {
+                this.swapPlacedObject(placed, item);
+            }
+        });
+        this.createPlacementControls();
+        this.preparePendingObject();
+    }
+
+    canPlaceNewObject() {
+        return this.hasAttribute("multiple") && this.getAttribute("multiple") !== "false"
+            ? true
+            : this.placedObjects.length === 0;
+    }
+
+    // Preloads the next instance of the selected catalog item so placing it is instant
+    preparePendingObject() {
+        const item = this.canPlaceNewObject() ? this.catalog[this.selectedCatalogIndex] : null;
+        const modelSrc = item ? item.src : null;
+        if (this.pendingItem === item && this.pendingSrc === modelSrc) {
+            return;
+        }
+        if (this.pendingObject) {
+            this.modelLoader.unloadModel(this.pendingObject);
+            this.pendingObject = null;
+        }
+        this.pendingItem = item;
+        this.pendingSrc = modelSrc;
+        if (!item) {
+            return;
+        }
+        const modelLoader = this.modelLoader;
+        this.loadModel(modelLoader, modelSrc)
+            .then((object) => {
+                if (this.modelLoader !== modelLoader || this.pendingItem !== item || this.pendingSrc !== modelSrc) {
+                    modelLoader.unloadModel(object);
+                    return;
+                }
+                object.visible = false;
+                item.element.bindObject(object, { primary: false });
+                this.pendingObject = object;
+            })
+            .catch(error => console.error("Error loading placement model:", error));
+    }
+
+    // Transparent plane that only shows the shadow of the model on the floor
+    addShadowCatcher(object) {
+        const size = new THREE.Box3().setFromObject(object.model).getSize(new THREE.Vector3());
+        const radius = Math.max(size.x, size.z, 0.25);
+        const shadowCatcher = new THREE.Mesh(
+            new THREE.PlaneGeometry(radius * 3, radius * 3),
+            new THREE.ShadowMaterial({ opacity: AR_CONFIG.SHADOW_OPACITY })
+        );
+        shadowCatcher.rotation.x = -Math.PI / 2;
+        // Slightly above the pivot to avoid z-fighting with the real floor estimate
+        shadowCatcher.position.y = 0.001;
+        shadowCatcher.receiveShadow = true;
+        // Taps on the floor around the object must not select it
+        shadowCatcher.raycast = () => {};
+        object.shadowCatcher = shadowCatcher;
+        object.add(shadowCatcher);
+    }
+
+    placePendingObject(pose) {
+        const object = this.pendingObject;
+        const item = this.pendingItem;
+        this.pendingObject = null;
+        this.pendingItem = null;
+        this.pendingSrc = null;
+        object.position.copy(pose.transform.position);
+        if (this.mode === MODES.WALL) {
+            object.quaternion.copy(pose.transform.orientation);
+        }
+        object.visible = true;
+        return this.addPlacedObject(object, item.element, item.src);
+    }
+
+    addPlacedObject(object, element, src) {
+        element.bindObject(object);
+        if (this.mode === MODES.FLOOR) {
+            this.addShadowCatcher(object);
+        }
+        const placed = { object, element, src };
+        this.placedObjects.push(placed);
+        this.setActivePlacedObject(placed);
+        this.createPlacementControls();
+        this.preparePendingObject();
+        return placed;
+    }
+
+    swapPlacedObject(placed, item) {
+        const modelLoader = this.modelLoader;
+        const modelSrc = item.src;
+        placed.src = modelSrc;
+        placed.element = item.element;
+        this.loadModel(modelLoader, modelSrc)
+            .then((object) => {
+                if (this.modelLoader !== modelLoader || placed.src !== modelSrc || !this.placedObjects.includes(placed)) {
+                    modelLoader.unloadModel(object);
+                    return;
+                }
+                // Keep the placement and gestures applied so far
+                object.position.copy(placed.object.position);
+                object.quaternion.copy(placed.object.quaternion);
+                object.scale.copy(placed.object.scale);
+                object.visible = placed.object.visible;
+                const wasActive = this.placedObject === placed.object;
+                modelLoader.unloadModel(placed.object);
+                placed.object = object;
+                item.element.bindObject(object);
+                if (this.mode === MODES.FLOOR) {
+                    this.addShadowCatcher(object);
+                }
+                if (wasActive) {
+                    this.setActivePlacedObject(placed);
+                }
+                this.schedulePersist();
+            })
+            .catch(error => console.error("Error loading placement model:", error));
+    }
+
+    setActivePlacedObject(placed) {
+        this.placedObject = placed ? placed.object : null;
+        this.gestureController.setTarget(this.placedObject);
+        if (placed) {
+            this.emit(EVENTS.OBJECT_SELECTED, { object: placed.object, src: placed.src });
+        }
+    }
+
+    removePlacedObject(placed) {
+        const index = this.placedObjects.indexOf(placed);
+        if (index === -1) {
+            return;
+        }
+        this.placedObjects.splice(index, 1);
+        this.modelLoader.unloadModel(placed.object);
+        if (this.placedObject === placed.object) {
+            this.setActivePlacedObject(this.placedObjects[this.placedObjects.length - 1] || null);
+        }
+        this.emit(EVENTS.OBJECT_REMOVED, { object: placed.object, src: placed.src });
+        this.createPlacementControls();
+        this.preparePendingObject();
+        this.schedulePersist();
+    }
+
+    resetPlacedObjects() {
+        [...this.placedObjects].forEach(placed => this.removePlacedObject(placed));
+    }
+
+    findPlacedObject(object) {
+        return this.placedObjects.find(placed => placed.object === object) || null;
+    }
+
+    selectCatalogItem(index) {
+        this.selectedCatalogIndex = index;
+        this.updateCarouselIcons(this.placementCarousel, index);
+        // With a single instance, picking another model swaps the placed one
+        if (!this.canPlaceNewObject() && this.placedObject) {
+            this.swapPlacedObject(this.findPlacedObject(this.placedObject), this.catalog[index]);
+        }
+        this.preparePendingObject();
+    }
+
+    createPlacementControls() {
+        if (this.placementControls) {
+            this.placementControls.remove();
+            this.placementControls = null;
+            this.placementCarousel = null;
+        }
+        const controls = document.createElement("div");
+        controls.style.display = "flex";
+        controls.style.flexDirection = "column";
+        controls.style.alignItems = "center";
+        controls.style.gap = "10px";
+        controls.style.marginTop = "10px";
+        // Taps on the controls must not reach the XR session as select events
+        controls.addEventListener("beforexrselect", (e) => e.preventDefault());
+
+        if (this.placedObjects.length > 0) {
+            const buttons = document.createElement("div");
+            buttons.style.display = "flex";
+            buttons.style.gap = "10px";
+            buttons.appendChild(this.createOverlayButton("Delete", () => {
+                const placed = this.findPlacedObject(this.placedObject);
+                if (placed) {
+                    this.removePlacedObject(placed);
+                }
+            }));
+            buttons.appendChild(this.createOverlayButton("Reset", () => this.resetPlacedObjects()));
+            controls.appendChild(buttons);
+        } else if (this.restoreState) {
+            controls.appendChild(this.createOverlayButton("Start over", () => this.cancelRestore()));
+        }
+
+        if (this.catalog.length > 1) {
+            this.placementCarousel = this.createCarouselElement(
+                this.catalog.map(item => item.icon),
+                this.selectedCatalogIndex,
+                (index) => this.selectCatalogItem(index)
+            );
+            controls.appendChild(this.placementCarousel);
+        }
+
+        this.domOverlayContainer.appendChild(controls);
+        this.placementControls = controls;
+    }
+
+    createOverlayButton(label, onClick) {
+        const button = document.createElement("button");
+        button.innerText = label;
+        button.style.padding = "8px 16px";
+        button.style.fontSize = "16px";
+        button.style.background = "rgba(0,0,0,0.5)";
+        button.style.color = "white";
+        button.style.border = "none";
+        button.style.borderRadius = "20px";
+        button.style.cursor = "pointer";
+        button.addEventListener("click", onClick);
+        return button;
+    }
+
+    showHotspots(parent) {
+        if (this.hotspotLayer.parentNode !== parent) {
+            parent.appendChild(this.hotspotLayer);
+        }
+    }
+
+    hideHotspots() {
+        this.hotspotLayer.remove();
+        this.querySelectorAll("kitcore-webar-hotspot").forEach(hotspot => hotspot.setVisible(false));
+    }
+
+    // Projects every hotspot onto the layer, called after rendering each frame
+    updateHotspots() {
+        const hotspots = this.querySelectorAll("kitcore-webar-object > kitcore-webar-hotspot");
+        const width = this.hotspotLayer.clientWidth;
+        const height = this.hotspotLayer.clientHeight;
+        if (!hotspots.length || !this.hotspotLayer.isConnected || !width || !height) {
+            return;
+        }
+        const renderer = this.sceneManager.renderer;
+        // During AR sessions the pose and projection come from the XR views
+        const camera = renderer.xr.isPresenting
+            ? renderer.xr.getCamera(this.sceneManager.camera)
+            : this.sceneManager.camera;
+        const cameraPosition = new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld);
+        const point = new THREE.Vector3();
+        const normal = new THREE.Vector3();
+        const toCamera = new THREE.Vector3();
+
+        hotspots.forEach((hotspot) => {
+            const object = hotspot.object3D;
+            if (!object || !hotspot.position || !this.isObjectVisible(object)) {
+                hotspot.setVisible(false);
+                return;
+            }
+            const model = object.model;
+            point.copy(hotspot.position).applyMatrix4(model.matrixWorld);
+            toCamera.subVectors(cameraPosition, point);
+            const distance = toCamera.length();
+
+            // Facing away from the camera
+            if (hotspot.normal) {
+                normal.copy(hotspot.normal).transformDirection(model.matrixWorld);
+                if (normal.dot(toCamera) < 0) {
+                    hotspot.setVisible(false);
+                    return;
+                }
+            }
+
+            // Hidden behind another part of the model
+            this.hotspotRaycaster.set(cameraPosition, toCamera.negate().normalize());
+            this.hotspotRaycaster.far = distance;
+            const hits = this.hotspotRaycaster.intersectObject(model, true);
+            if (hits.length && hits[0].distance < distance - AR_CONFIG.HOTSPOT_OCCLUSION_TOLERANCE) {
+                hotspot.setVisible(false);
+                return;
+            }
+
+            point.project(camera);
+            if (point.z > 1 || Math.abs(point.x) > 1 || Math.abs(point.y) > 1) {
+                hotspot.setVisible(false);
+                return;
+            }
+            hotspot.setScreenPosition((point.x + 1) / 2 * width, (1 - point.y) / 2 * height);
+        });
+    }
+
+    isObjectVisible(object) {
+        let visible = object.visible && !!object.parent;
+        object.traverseAncestors((ancestor) => {
+            visible = visible && ancestor.visible;
+        });
+        return visible;
+    }
+
+    setOverlayMessage(text) {
+        if (this.overlayMessage.innerText !== text) {
+            this.overlayMessage.innerText = text;
+        }
+    }
+
+    applyReticleStyle() {
+        const value = this.getAttribute("reticle");
+        this.reticleEnabled = value !== "none" && value !== "false";
+        if (!this.reticleEnabled || !value) {
+            this.reticle.setRing(0xffffff);
+            return;
+        }
+        if (/\.(glb|gltf)([?#].*)?$/i.test(value)) {
+            const modelLoader = this.modelLoader;
+            modelLoader.loadModel(value, { scale: 1 })
+                .then((model) => {
+                    if (this.modelLoader !== modelLoader || this.getAttribute("reticle") !== value) {
+                        modelLoader.unloadModel(model);
+                        return;
+                    }
+                    this.reticle.setModel(model);
+                })
+                .catch(error => console.error("Error loading reticle model:", error));
+            return;
+        }
+        this.reticle.setRing(new THREE.Color(value));
+    }
+
+    updatePlaneVisualizer() {
+        const showPlanes = this.hasAttribute("show-planes") && this.getAttribute("show-planes") !== "false";
+        if (showPlanes && !this.planeVisualizer) {
+            this.planeVisualizer = new PlaneVisualizer(this.sceneManager.scene);
+        } else if (!showPlanes && this.planeVisualizer) {
+            this.planeVisualizer.dispose();
+            this.planeVisualizer = null;
+        }
+    }
+
+    updateGhost(position, quaternion) {
+        const previewEnabled = this.hasAttribute("preview") && this.getAttribute("preview") !== "false";
+        const showGhost = previewEnabled && position && this.pendingObject;
+        if (this.ghost && this.ghost.source !== this.pendingObject) {
+            // Another model was selected or the previous one was placed
+            this.removeGhost();
+        }
+        if (!showGhost) {
+            if (this.ghost) {
+                this.ghost.visible = false;
+            }
+            return;
+        }
+        if (!this.ghost) {
+            this.ghost = this.pendingObject.clone();
+            this.ghost.source = this.pendingObject;
+            this.ghost.traverse((child) => {
+                if (child.material) {
+                    // Materials are cloned so the placed model keeps its own, geometries stay shared
+                    const toGhost = (material) => {
+                        const ghostMaterial = material.clone();
+                        ghostMaterial.transparent = true;
+                        ghostMaterial.opacity = material.opacity * 0.5;
+                        ghostMaterial.depthWrite = false;
+                        return ghostMaterial;
+                    };
+                    child.material = Array.isArray(child.material) ? child.material.map(toGhost) : toGhost(child.material);
+                }
+            });
+            this.sceneManager.scene.add(this.ghost);
+        }
+        this.ghost.position.copy(position);
+        if (this.mode === MODES.WALL) {
+            this.ghost.quaternion.copy(quaternion);
+        }
+        this.ghost.visible = true;
+    }
+
+    removeGhost() {
+        if (!this.ghost) {
+            return;
+        }
+        if (this.ghost.parent) {
+            this.ghost.parent.remove(this.ghost);
+        }
+        this.ghost.traverse((child) => {
+            if (child.material) {
+                (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => material.dispose());
+            }
+        });
+        this.ghost = null;
+    }
+
+    getGestureOptions() {
+        return {
+            rotateEnabled: this.rotateEnabled,
+            scaleEnabled: this.scaleEnabled,
+            minScale: parseFloat(this.getAttribute("min-scale")) || 0,
+            maxScale: parseFloat(this.getAttribute("max-scale")) || Infinity,
+            rotationSnap: parseFloat(this.getAttribute("rotation-snap")) || 0,
+            inertia: this.getAttribute("inertia") !== "false"
+        };
+    }
+
+    updateGestureOptions() {
+        if (this.gestureController) {
+            this.gestureController.setOptions(this.getGestureOptions());
+        }
+    }
+
+    enablePlacement() {
+        this.catalog = [];
+        this.selectedCatalogIndex = 0;
+        this.placedObjects = [];
+        // Attached once for the whole session, retargeted when the active object changes
+        this.gestureController = new GestureController(this.domOverlayContainer, this.getGestureOptions());
+        this.gestureController.onChange = () => this.schedulePersist();
+        this.syncPlacementCatalog();
+        this.reticle = new Reticle(this.sceneManager.scene);
+        this.applyReticleStyle();
+        this.updatePlaneVisualizer();
+
+        this.session
+            .requestReferenceSpace("viewer")
+            .then((viewerSpace) => {
+                return this.session.requestHitTestSource({
+                    space: viewerSpace,
+                    entityTypes: [this.mode === "wall" ? "vertical-plane" : "plane"],
+                });
+            })
+            .then((hitTestSource) => {
+                if (!this.sceneManager) {
+                    return;
+                }
+                this.hitTestSource = hitTestSource;
+                this.sceneManager.renderer.setAnimationLoop((timestamp, frame) => {
+                    this.updateAnimations();
+                    this.updateOcclusion(frame);
+                    if (this.placedObject) {
+                        this.sceneManager.setShadowFocus(this.placedObject.position);
+                    }
+                    if (frame && this.hitTestSource) {
+                        const referenceSpace = this.sceneManager.renderer.xr.getReferenceSpace();
+                        const hitTestResults = frame.getHitTestResults(this.hitTestSource);
+                        this.updateLayoutAnchor(frame, referenceSpace);
+                        // While restoring, the overlay shows the restore instructions instead
+                        const isShowingObject = this.placedObjects.length > 0 || !!this.restoreState;
+                        const hitPose = hitTestResults.length > 0 ? hitTestResults[0].getPose(referenceSpace) : null;
+                        this.updatePlacementVisuals(hitPose);
+                        if (this.planeVisualizer) {
+                            this.planeVisualizer.update(frame, referenceSpace);
+                        }
+                        this.updateDrag(frame, referenceSpace);
+                        this.gestureController.update(timestamp);
+                        if (hitPose) {
+                            if (this.mode === "wall") {
+                                const normal = hitPose.transform.orientation;
+                                const isVertical = this.isVerticalSurface(normal);
+                                if (!isShowingObject) {
+                                    if (isVertical) {
+                                        this.setOverlayMessage("Wall detected, tap to place");
+                                    } else {
+                                        this.setOverlayMessage("Surface detected, tap to place");
+                                    }
+                                }
+                            } else {
+                                if (!isShowingObject) {
+                                    this.setOverlayMessage("Surface detected, tap to place");
+                                }
+                            }
+                        } else {
+                            if (!isShowingObject) {
+                                if (this.mode === "wall") {
+                                    this.setOverlayMessage("Move to find a vertical surface");
+                                } else {
+                                    this.setOverlayMessage("Move around to detect a surface");
+                                }
+                            }
+                        }
+                        this.sceneManager.renderer.render(
+                            this.sceneManager.scene,
+                            this.sceneManager.camera
+                        );
+                        this.updateHotspots();
+                    }
+                });
+            });
+
+        this.enableDrag();
+
+        if (this.restoreState) {
+            this.startRestore();
+        } else if (this.isPersistEnabled()) {
+            const layout = this.loadStoredLayout();
+            if (layout && layout.objects.length > 0) {
+                this.restorePlacement(layout).catch(error => console.error("Couldn't restore the saved placement:", error));
+            }
+        }
+
+        this.session.addEventListener("select", (event) => {
+            const frame = event.frame;
+            const referenceSpace = this.sceneManager.renderer.xr.getReferenceSpace();
+            if (this.dragState && this.dragState.inputSource === event.inputSource) {
+                // The tap landed on a placed instance: it was selected (and maybe dragged) on selectstart
+                return;
+            }
+            if (!this.hitTestSource) {
+                console.warn("hitTestSource is not defined");
+                return;
+            }
+            const hitTestResults = frame.getHitTestResults(this.hitTestSource);
+            if (hitTestResults.length === 0) {
+                return;
+            }
+            const pose = hitTestResults[0].getPose(referenceSpace);
+            if (!pose) {
+                return;
+            }
+            if (this.restoreState) {
+                if (this.restoreState.relocalizing) {
+                    this.relocalize(pose);
+                }
+                return;
+            }
+            let placed = null;
+            if (this.canPlaceNewObject()) {
+                if (!this.pendingObject) {
+                    return;
+                }
+                placed = this.placePendingObject(pose);
+            } else if (this.positionateEnabled && this.placedObject) {
+                // Si se permite reposicionar (positionateEnabled), actualizamos la posición.
+                placed = this.findPlacedObject(this.placedObject);
+                if (this.mode === MODES.WALL) {
+                    placed.object.quaternion.copy(pose.transform.orientation);
+                }
+                placed.object.position.copy(pose.transform.position);
+            }
+            if (placed) {
+                this.emitObjectPlaced(placed);
+            }
+            if (this.placedObjects.length > 0) {
+                this.setOverlayMessage("");
+            }
+        });
+    }
+
+    emitObjectPlaced(placed) {
+        this.emit(EVENTS.OBJECT_PLACED, {
+            object: placed.object,
+            position: placed.object.position.clone(),
+            quaternion: placed.object.quaternion.clone(),
+            src: placed.src
+        });
+        this.schedulePersist();
+    }
+
+    enableDrag() {
+        this.dragState = null;
+        if (typeof this.session.requestHitTestSourceForTransientInput !== "function") {
+            console.warn("Transient input hit testing is not supported, drag to move is disabled.");
+            return;
+        }
+        this.session
+            .requestHitTestSourceForTransientInput({ profile: "generic-touchscreen", entityTypes: ["plane"] })
+            .then((transientHitTestSource) => {
+                this.transientHitTestSource = transientHitTestSource;
+            })
+            .catch(error => console.error("Error requesting transient input hit test source:", error));
+
+        this.session.addEventListener("selectstart", (event) => {
+            if (this.placedObjects.length === 0) {
+                return;
+            }
+            const referenceSpace = this.sceneManager.renderer.xr.getReferenceSpace();
+            const rayPose = event.frame.getPose(event.inputSource.targetRaySpace, referenceSpace);
+            if (!rayPose) {
+                return;
+            }
+            // A finger landing on a placed instance selects it and, if allowed, starts dragging it
+            const rayMatrix = new THREE.Matrix4().fromArray(rayPose.transform.matrix);
+            const origin = new THREE.Vector3().setFromMatrixPosition(rayMatrix);
+            const direction = new THREE.Vector3(0, 0, -1).transformDirection(rayMatrix);
+            const raycaster = new THREE.Raycaster(origin, direction);
+            const intersections = raycaster.intersectObjects(this.placedObjects.map(placed => placed.object), true);
+            if (intersections.length === 0) {
+                return;
+            }
+            const placed = this.placedObjects.find((p) => {
+                let hitObject = intersections[0].object;
+                while (hitObject && hitObject !== p.object) {
+                    hitObject = hitObject.parent;
+                }
+                return hitObject === p.object;
+            });
+            if (placed.object !== this.placedObject) {
+                this.setActivePlacedObject(placed);
+            }
+            this.dragState = { inputSource: event.inputSource, placed, moved: false };
+        });
+
+        this.session.addEventListener("selectend", (event) => {
+            if (this.dragState && this.dragState.inputSource === event.inputSource) {
+                if (this.dragState.moved) {
+                    this.emitObjectPlaced(this.dragState.placed);
+                }
+                this.dragState = null;
+            }
         });
     }
 
-    enablePlacement() {
-        const objectElem = this.querySelector("kitcore-webar-object");
-        if (!objectElem) {
-            console.error("Couldn't find element <kitcore-webar-object>.");
+    updateDrag(frame, referenceSpace) {
+        if (!this.dragState || !this.positionateEnabled || !this.transientHitTestSource) {
+            return;
+        }
+        const transientResults = frame.getHitTestResultsForTransientInput(this.transientHitTestSource);
+        if (transientResults.length > 1) {
+            // A second finger turns the gesture into pinch/twist
+            this.dragState.moved = false;
+            return;
+        }
+        const inputResults = transientResults.find(result => result.inputSource === this.dragState.inputSource);
+        if (!inputResults) {
+            return;
+        }
+        // Constrain the drag to the surface type of the current mode
+        const hit = inputResults.results.find((result) => {
+            const pose = result.getPose(referenceSpace);
+            return pose && this.isVerticalSurface(pose.transform.orientation) === (this.mode === MODES.WALL);
+        });
+        if (!hit) {
+            return;
+        }
+        const pose = hit.getPose(referenceSpace);
+        const object = this.dragState.placed.object;
+        object.position.copy(pose.transform.position);
+        if (this.mode === MODES.WALL) {
+            object.quaternion.copy(pose.transform.orientation);
+        }
+        this.dragState.moved = true;
+    }
+
+    isPersistEnabled() {
+        return this.hasAttribute("persist") && this.getAttribute("persist") !== "false";
+    }
+
+    // persist="living-room" names the saved layout, a bare persist attribute uses the page path
+    getPersistKey() {
+        const name = this.getAttribute("persist");
+        return `kitcore-webar-layout:${name && name !== "true" ? name : window.location.pathname}`;
+    }
+
+    loadStoredLayout() {
+        if (!this.isPersistEnabled()) {
+            return null;
+        }
+        try {
+            const layout = JSON.parse(window.localStorage.getItem(this.getPersistKey()));
+            return layout && Array.isArray(layout.objects) ? layout : null;
+        } catch (error) {
+            console.error("Couldn't read the saved placement:", error);
+            return null;
+        }
+    }
+
+    storeLayout(layout) {
+        if (!this.isPersistEnabled()) {
             return;
         }
-        const modelSrc = objectElem.getAttribute("src");
-        if (!modelSrc) {
-            console.error("Attribute 'src' not defined in <kitcore-webar-object>.");
+        try {
+            window.localStorage.setItem(this.getPersistKey(), JSON.stringify(layout));
+        } catch (error) {
+            console.error("Couldn't save the placement:", error);
+        }
+    }
+
+    // Saves shortly after the last change, so a gesture or drag is stored once
+    schedulePersist() {
+        if (!this.isPersistEnabled() || this.restoreState || (this.mode !== MODES.FLOOR && this.mode !== MODES.WALL)) {
             return;
         }
-        this.modelLoader.loadModel(modelSrc)
-            .then((placedObject) => {
-                this.placedObject = placedObject;
-                this.placedObject.visible = false;
-                // Indicamos que aún no se ha posicionado (para controlar el reposicionamiento)
-                this.placedObject.isPlaced = false;
-            })
-            .catch(error => console.error("Error loading placement model:", error));
+        clearTimeout(this.persistTimer);
+        this.persistTimer = setTimeout(() => {
+            this.persistTimer = null;
+            this.savePlacement().catch(error => console.error("Couldn't save the placement:", error));
+        }, AR_CONFIG.PERSIST_DELAY);
+    }
 
-        this.session
-            .requestReferenceSpace("viewer")
-            .then((viewerSpace) => {
-                return this.session.requestHitTestSource({
-                    space: viewerSpace,
-                    entityTypes: [this.mode === "wall" ? "vertical-plane" : "plane"],
-                });
-            })
-            .then((hitTestSource) => {
-                this.hitTestSource = hitTestSource;
-                this.sceneManager.renderer.setAnimationLoop((timestamp, frame) => {
-                    if (frame && this.hitTestSource) {
-                        const hitTestResults = frame.getHitTestResults(this.hitTestSource);
-                        if (hitTestResults.length > 0) {
-                            const referenceSpace = this.sceneManager.renderer.xr.getReferenceSpace();
-                            const hitPose = hitTestResults[0].getPose(referenceSpace);
-                            if (this.mode === "wall") {
-                                const normal = hitPose.transform.orientation;
-                                const isVertical = this.isVerticalSurface(normal);
-                                if (!this.placedObject.visible) {
-                                    if (isVertical) {
-                                        this.domOverlayContainer.innerText = "Wall detected, tap to place";
-                                    } else {
-                                        this.domOverlayContainer.innerText = "Surface detected, tap to place";
-                                    }
-                                }
-                            } else {
-                                if (!this.placedObject.visible) {
-                                    this.domOverlayContainer.innerText = "Surface detected, tap to place";
-                                }
-                            }
-                        } else {
-                            if (!this.placedObject.visible) {
-                                if (this.mode === "wall") {
-                                    this.domOverlayContainer.innerText = "Move to find a vertical surface";
-                                } else {
-                                    this.domOverlayContainer.innerText = "Move around to detect a surface";
-                                }
-                            }
-                        }
-                        this.sceneManager.renderer.render(
-                            this.sceneManager.scene,
-                            this.sceneManager.camera
-                        );
-                    }
-                });
+    // Poses are stored relative to a level frame at the first placed object, turned towards the second one,
+    // so without a persistent anchor the layout can be put back by tapping where both were. With a single
+    // object, or a second one right above it, the frame faces away from the camera instead.
+    // Built again on every save, so it follows the objects when they are moved or removed.
+    getLayoutFrame() {
+        const origin = this.placedObjects[0].object.position;
+        const second = this.placedObjects[1];
+        if (second && KitCoreWebAR.getHorizontalDistance(origin, second.object.position) >= AR_CONFIG.LAYOUT_REFERENCE_DISTANCE) {
+            return KitCoreWebAR.createLayoutFrame(origin, second.object.position);
+        }
+        const camera = this.sceneManager.renderer.xr.getCamera(this.sceneManager.camera);
+        return KitCoreWebAR.createLayoutFrame(origin, new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld), true);
+    }
+
+    // Level frame at position with its -Z axis pointing towards target, or away from it
+    static createLayoutFrame(position, target, away = false) {
+        const sign = away ? 1 : -1;
+        const yaw = Math.atan2(sign * (target.x - position.x), sign * (target.z - position.z));
+        const quaternion = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), yaw);
+        return new THREE.Matrix4().compose(new THREE.Vector3().copy(position), quaternion, new THREE.Vector3(1, 1, 1));
+    }
+
+    static getHorizontalDistance(a, b) {
+        return Math.hypot(b.x - a.x, b.z - a.z);
+    }
+
+    // Whether re-localizing the layout takes a second tap, where its second object was
+    static hasReferenceObject(layout) {
+        const second = layout.objects[1];
+        return !!second && Math.hypot(second.position[0], second.position[2]) >= AR_CONFIG.LAYOUT_REFERENCE_DISTANCE;
+    }
+
+    // Serializable layout document, see savePlacement()
+    buildLayout() {
+        const layout = {
+            version: 1,
+            mode: this.mode,
+            anchor: null,
+            objects: []
+        };
+        if (this.placedObjects.length === 0) {
+            return layout;
+        }
+        const frame = this.getLayoutFrame();
+        if (this.layoutAnchor && this.layoutAnchorMatrix) {
+            // The anchor stays where it was created, the frame is stored relative to it
+            const position = new THREE.Vector3();
+            const quaternion = new THREE.Quaternion();
+            frame.clone()
+                .premultiply(this.layoutAnchorMatrix.clone().invert())
+                .decompose(position, quaternion, new THREE.Vector3());
+            layout.anchor = { handle: this.persistentHandle, position: position.toArray(), quaternion: quaternion.toArray() };
+        }
+        const frameInverse = frame.clone().invert();
+        const elements = Array.from(this.querySelectorAll("kitcore-webar-object"));
+        layout.objects = this.placedObjects.map((placed) => {
+            const { object } = placed;
+            const position = new THREE.Vector3();
+            const quaternion = new THREE.Quaternion();
+            const scale = new THREE.Vector3();
+            new THREE.Matrix4()
+                .compose(object.position, object.quaternion, object.scale)
+                .premultiply(frameInverse)
+                .decompose(position, quaternion, scale);
+            return {
+                src: placed.src,
+                element: elements.indexOf(placed.element),
+                id: placed.element.id || null,
+                position: position.toArray(),
+                quaternion: quaternion.toArray(),
+                scale: scale.toArray()
+            };
+        });
+        return layout;
+    }
+
+    // Creates the persistent anchor of the layout frame where the browser supports them
+    createLayoutAnchor() {
+        const session = this.session;
+        if (this.layoutAnchor || this.layoutAnchorRequest || typeof session.restorePersistentAnchor !== "function") {
+            return this.layoutAnchorRequest || Promise.resolve();
+        }
+        const frame = this.getLayoutFrame();
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        frame.decompose(position, quaternion, new THREE.Vector3());
+        const referenceSpace = this.sceneManager.renderer.xr.getReferenceSpace();
+        // Anchors can only be created while their frame is active
+        this.layoutAnchorRequest = new Promise((resolve, reject) => {
+            session.requestAnimationFrame((time, frame) => {
+                try {
+                    frame.createAnchor(new XRRigidTransform(position, quaternion), referenceSpace).then(resolve, reject);
+                } catch (error) {
+                    reject(error);
+                }
             });
+        })
+            .then(anchor => anchor.requestPersistentHandle().then((handle) => {
+                if (this.session !== session) {
+                    return;
+                }
+                // Browsers keep a limited number of persistent anchors, drop the one this layout replaces
+                if (this.persistentHandle && this.persistentHandle !== handle && typeof session.deletePersistentAnchor === "function") {
+                    session.deletePersistentAnchor(this.persistentHandle).catch(() => {});
+                }
+                this.layoutAnchor = anchor;
+                this.layoutAnchorMatrix = frame;
+                this.persistentHandle = handle;
+            }))
+            .catch(error => console.error("Couldn't create a persistent anchor, the placement is saved without it:", error))
+            .finally(() => {
+                if (this.session === session) {
+                    this.layoutAnchorRequest = null;
+                }
+            });
+        return this.layoutAnchorRequest;
+    }
 
-        this.session.addEventListener("select", (event) => {
-            const frame = event.frame;
-            const referenceSpace = this.sceneManager.renderer.xr.getReferenceSpace();
-            if (!this.hitTestSource) {
-                console.warn("hitTestSource is not defined");
-                return;
+    // Follows the persistent anchor, which moves as the device refines its understanding of the room
+    updateLayoutAnchor(frame, referenceSpace) {
+        if (!this.layoutAnchor || !frame.trackedAnchors || !frame.trackedAnchors.has(this.layoutAnchor)) {
+            return;
+        }
+        const pose = frame.getPose(this.layoutAnchor.anchorSpace, referenceSpace);
+        if (!pose) {
+            return;
+        }
+        this.layoutAnchorMatrix = (this.layoutAnchorMatrix || new THREE.Matrix4()).fromArray(pose.transform.matrix);
+        if (this.restoreState && this.restoreState.waitingForAnchor) {
+            const { position, quaternion } = this.restoreState.layout.anchor;
+            const frame = new THREE.Matrix4().compose(
+                new THREE.Vector3().fromArray(position),
+                new THREE.Quaternion().fromArray(quaternion),
+                new THREE.Vector3(1, 1, 1)
+            );
+            this.placeLayout(frame.premultiply(this.layoutAnchorMatrix));
+        }
+    }
+
+    // Resolves with the layout document of the placed objects: their poses relative to the layout frame,
+    // and the persistent anchor handle with the frame pose relative to it when there is one. With the persist attribute it is
+    // also saved to localStorage. Outside a floor or wall session it resolves with the saved layout.
+    async savePlacement() {
+        if (!this.session || (this.mode !== MODES.FLOOR && this.mode !== MODES.WALL)) {
+            return this.loadStoredLayout();
+        }
+        if (this.restoreState) {
+            // Nothing changed since the layout being restored
+            return this.restoreState.layout;
+        }
+        if (this.placedObjects.length > 0) {
+            await this.createLayoutAnchor();
+            if (!this.sceneManager || this.placedObjects.length === 0) {
+                return this.savePlacement();
             }
-            const hitTestResults = frame.getHitTestResults(this.hitTestSource);
-            if (hitTestResults.length > 0 && this.placedObject) {
-                const hit = hitTestResults[0];
-                const pose = hit.getPose(referenceSpace);
-                if (pose) {
-                    if (this.mode === "wall") {
-                        this.placedObject.quaternion.copy(pose.transform.orientation);
-                    }
-                    // Si el objeto aún no ha sido posicionado o si se permite reposicionar (positionateEnabled), actualizamos la posición.
-                    if (!this.placedObject.isPlaced || this.positionateEnabled) {
-                        this.placedObject.position.copy(pose.transform.position);
-                        this.placedObject.isPlaced = true;
-                    }
-                    this.placedObject.visible = true;
+        }
+        const layout = this.buildLayout();
+        this.storeLayout(layout);
+        return layout;
+    }
+
+    // Puts back a layout returned by savePlacement(), resolving with the placed objects. Outside a session
+    // it waits for the next floor or wall session. Without the persistent anchor the user is asked to tap
+    // where the first object was.
+    restorePlacement(layout = this.loadStoredLayout()) {
+        if (!layout || !Array.isArray(layout.objects)) {
+            return Promise.reject(new Error("Invalid placement layout."));
+        }
+        if (this.requestedMode !== MODES.FLOOR && this.requestedMode !== MODES.WALL) {
+            return Promise.reject(new Error(`Placements can't be restored in ${this.requestedMode} mode.`));
+        }
+        if (this.restoreState) {
+            clearTimeout(this.restoreState.timeout);
+            this.restoreState.reject(new Error("Replaced by another placement layout."));
+        }
+        return new Promise((resolve, reject) => {
+            this.restoreState = { layout, resolve, reject, waitingForAnchor: false, relocalizing: false, origin: null, timeout: null };
+            if (this.session && this.sceneManager && (this.mode === MODES.FLOOR || this.mode === MODES.WALL)) {
+                this.startRestore();
+            }
+        });
+    }
 
-                    // Configuramos los gestos táctiles usando el DOM overlay y pasamos las opciones según los atributos.
-                    setupNativeTouchControls(this.placedObject, this.domOverlayContainer, {
-                        rotateEnabled: this.rotateEnabled,
-                        scaleEnabled: this.scaleEnabled
-                    });
+    startRestore() {
+        const state = this.restoreState;
+        // The restored layout replaces the current one
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+        this.resetPlacedObjects();
+        this.layoutAnchor = null;
+        this.layoutAnchorMatrix = null;
+        if (state.layout.anchor) {
+            // Deleted once a new anchor replaces it
+            this.persistentHandle = state.layout.anchor.handle;
+        }
+        this.createPlacementControls();
+        if (!state.layout.anchor || typeof this.session.restorePersistentAnchor !== "function") {
+            this.promptRelocalization();
+            return;
+        }
+        const session = this.session;
+        state.waitingForAnchor = true;
+        this.setOverlayMessage("Looking for the saved placement...");
+        session.restorePersistentAnchor(state.layout.anchor.handle)
+            .then((anchor) => {
+                if (this.session !== session || this.restoreState !== state) {
+                    anchor.delete();
+                    return;
                 }
-                if (this.domOverlayContainer && this.placedObject.visible) {
-                    this.domOverlayContainer.innerText = "";
+                // Placed by updateLayoutAnchor() once the anchor is located
+                this.layoutAnchor = anchor;
+            })
+            .catch((error) => {
+                console.error("Couldn't restore the persistent anchor:", error);
+                if (this.restoreState === state && state.waitingForAnchor) {
+                    this.promptRelocalization();
                 }
+            });
+        state.timeout = setTimeout(() => {
+            if (this.restoreState === state && state.waitingForAnchor) {
+                this.promptRelocalization();
+            }
+        }, AR_CONFIG.RELOCALIZATION_TIMEOUT);
+    }
+
+    promptRelocalization() {
+        const state = this.restoreState;
+        clearTimeout(state.timeout);
+        state.waitingForAnchor = false;
+        state.relocalizing = true;
+        state.origin = null;
+        if (this.layoutAnchor) {
+            this.layoutAnchor.delete();
+            this.layoutAnchor = null;
+        }
+        this.setOverlayMessage("Stand where you placed the objects and tap where the first one was");
+    }
+
+    relocalize(pose) {
+        const state = this.restoreState;
+        const position = new THREE.Vector3().copy(pose.transform.position);
+        if (!state.origin && KitCoreWebAR.hasReferenceObject(state.layout)) {
+            state.origin = position;
+            this.setOverlayMessage("Now tap where the second one was");
+            return;
+        }
+        if (state.origin) {
+            this.placeLayout(KitCoreWebAR.createLayoutFrame(state.origin, position));
+            return;
+        }
+        // A single object keeps its rotation relative to the direction the user faces
+        const camera = this.sceneManager.renderer.xr.getCamera(this.sceneManager.camera);
+        this.placeLayout(KitCoreWebAR.createLayoutFrame(position, new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld), true));
+    }
+
+    cancelRestore() {
+        const state = this.restoreState;
+        clearTimeout(state.timeout);
+        this.restoreState = null;
+        if (this.layoutAnchor) {
+            this.layoutAnchor.delete();
+            this.layoutAnchor = null;
+        }
+        this.setOverlayMessage("");
+        this.createPlacementControls();
+        // Discards the saved layout too, so it doesn't come back with the next session
+        this.storeLayout(this.buildLayout());
+        state.resolve([]);
+    }
+
+    placeLayout(frameMatrix) {
+        const state = this.restoreState;
+        clearTimeout(state.timeout);
+        this.restoreState = null;
+        this.setOverlayMessage("");
+        this.createPlacementControls();
+        const elements = Array.from(this.querySelectorAll("kitcore-webar-object"));
+        const modelLoader = this.modelLoader;
+        const loads = state.layout.objects.map((entry) => {
+            // Matched by id first, the element index only holds while the markup doesn't change
+            const element = (entry.id && elements.find(e => e.id === entry.id)) || elements[entry.element];
+            if (!element || element.getAttribute("src") !== entry.src) {
+                console.error(`Couldn't find the <kitcore-webar-object> of ${entry.src} to restore it.`);
+                return Promise.resolve(null);
+            }
+            return this.loadModel(modelLoader, entry.src)
+                .then(object => ({ object, element, entry }))
+                .catch((error) => {
+                    console.error("Error loading placement model:", error);
+                    return null;
+                });
+        });
+        // Placed in the layout order, so the first object stays the origin of the next saves
+        Promise.all(loads).then((results) => {
+            const loaded = results.filter(result => result);
+            if (this.modelLoader !== modelLoader) {
+                loaded.forEach(({ object }) => modelLoader.unloadModel(object));
+                state.resolve([]);
+                return;
             }
+            state.resolve(loaded.map(({ object, element, entry }) => {
+                const matrix = new THREE.Matrix4().compose(
+                    new THREE.Vector3().fromArray(entry.position),
+                    new THREE.Quaternion().fromArray(entry.quaternion),
+                    new THREE.Vector3().fromArray(entry.scale)
+                );
+                matrix.premultiply(frameMatrix).decompose(object.position, object.quaternion, object.scale);
+                const placed = this.addPlacedObject(object, element, entry.src);
+                this.emitObjectPlaced(placed);
+                return placed.object;
+            }));
         });
     }
 
+    updatePlacementVisuals(hitPose) {
+        if (!hitPose) {
+            this.reticle.update(null);
+            this.updateGhost(null);
+            return;
+        }
+        const position = new THREE.Vector3().copy(hitPose.transform.position);
+        const orientation = hitPose.transform.orientation;
+        // Flat on floors, upright facing the surface normal on walls
+        const quaternion = this.isVerticalSurface(orientation)
+            ? new THREE.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w)
+            : new THREE.Quaternion();
+        const showReticle = this.reticleEnabled && (this.canPlaceNewObject() || this.positionateEnabled);
+        this.reticle.update(showReticle ? position : null, quaternion);
+        this.updateGhost(position, new THREE.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w));
+    }
+
     isVerticalSurface(orientation) {
         const rotationMatrix = new THREE.Matrix4().makeRotationFromQuaternion(
             new THREE.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w)
         );
-        const normal = new THREE.Vector3(0, 0, 1).applyMatrix4(rotationMatrix);
+        // The Y axis of a hit test pose is the surface normal
+        const normal = new THREE.Vector3(0, 1, 0).applyMatrix4(rotationMatrix);
         const verticalVector = new THREE.Vector3(0, 1, 0);
         const angle = normal.angleTo(verticalVector);
         const verticalThreshold = Math.PI / 4;
@@ -625,124 +5256,231 @@ class KitCoreWebAR extends HTMLElement {
 
         // Create scene manager for viewer mode
         this.sceneManager = new SceneManager(this.container, this.mode)
-            .createScene(
-                this.container.clientWidth,
-                this.container.clientHeight,
-                { cameraPosition: { x: 0, y: 1, z: 3 } }
-            )
+            .createScene(this.container.clientWidth, this.container.clientHeight)
             .setupResizeObserver();
+        this.applyEnvironment();
+        this.sceneManager.setBackground(this.getAttribute("background"));
 
-        // Setup orbit controls for viewer mode
-        this.controls = new OrbitControls(
+        // Orbit controls, framed on each model once it is loaded
+        this.viewerCamera = new ViewerCamera(
             this.sceneManager.camera,
-            this.sceneManager.renderer.domElement
+            this.sceneManager.renderer.domElement,
+            this.getViewerCameraOptions()
         );
-        this.controls.enableDamping = true;
-        this.controls.dampingFactor = 0.05;
-        this.controls.screenSpacePanning = false;
-        this.controls.minDistance = 1;
-        this.controls.maxDistance = 10;
-        this.controls.target.set(0, 1, 0);
-        this.controls.update();
+        this.viewerCamera.onInteraction = () => this.hideInteractionPrompt();
 
         // Load all models
-        const modelLoader = new ModelLoader(this.sceneManager.scene);
+        this.modelLoader = this.createModelLoader();
+        this.usdzGenerator = new USDZGenerator();
         this.viewerObjects = [];
+        this.syncViewerObjects();
+
+        // Animation loop
+        this.sceneManager.renderer.setAnimationLoop((timestamp) => {
+            this.viewerCamera.update(timestamp);
+            this.updateAnimations();
+            this.sceneManager.renderer.render(
+                this.sceneManager.scene,
+                this.sceneManager.camera
+            );
+            this.updateHotspots();
+        });
+
+        this.showHotspots(this.container);
+
+        // Create scene viewer button
+        this.createSceneViewerButton();
+    }
 
-        Promise.all(Array.from(objectElements).map((element, index) => {
+    syncViewerObjects() {
+        const elements = Array.from(this.querySelectorAll("kitcore-webar-object"));
+        const hadObjects = this.viewerObjects.length > 0;
+        this.viewerObjects = this.viewerObjects.filter((obj) => {
+            if (elements.includes(obj.element) && obj.element.getAttribute("src")) {
+                return true;
+            }
+            if (obj.model) {
+                this.modelLoader.unloadModel(obj.model);
+            }
+            return false;
+        });
+        elements.forEach((element) => {
             const modelSrc = element.getAttribute("src");
-            const iconSrc = element.getAttribute("icon");
+            const obj = this.viewerObjects.find(o => o.element === element);
             if (!modelSrc) {
                 console.error("Attribute 'src' not defined in <kitcore-webar-object>.");
-                return null;
+                return;
             }
-            return modelLoader.loadModel(modelSrc, {
-                scale: 1,
-                position: { x: 0, y: 0, z: 0 }
-            }).then(model => {
-                // Set all models to invisible initially
-                model.visible = false;
-                return {
-                    model,
-                    icon: iconSrc,
-                    visible: false
-                };
-            });
-        })).then(objects => {
-            this.viewerObjects = objects.filter(obj => obj !== null);
+            if (!obj) {
+                const newObj = { element, src: modelSrc, icon: element.getAttribute("icon"), model: null, visible: false };
+                this.viewerObjects.push(newObj);
+                this.loadViewerModel(newObj);
+                return;
+            }
+            obj.icon = element.getAttribute("icon");
+            if (obj.src !== modelSrc) {
+                obj.src = modelSrc;
+                this.loadViewerModel(obj);
+            }
+        });
+        // Keep the carousel in document order
+        this.viewerObjects.sort((a, b) => elements.indexOf(a.element) - elements.indexOf(b.element));
+
+        const visibleIndex = this.viewerObjects.findIndex(obj => obj.visible);
+        if (visibleIndex !== -1) {
+            this.currentObjectIndex = visibleIndex;
+        } else if (this.viewerObjects.length > 0) {
             // Make only the first object visible
-            if (this.viewerObjects.length > 0) {
-                this.viewerObjects[0].model.visible = true;
-                this.viewerObjects[0].visible = true;
-                this.currentObjectIndex = 0;
+            this.showViewerObject(0);
+        }
+        this.createCarousel();
+        if (hadObjects) {
+            this.refreshSceneViewerButton();
+        }
+    }
+
+    loadViewerModel(obj) {
+        const modelLoader = this.modelLoader;
+        const modelSrc = obj.src;
+        this.loadModel(modelLoader, modelSrc, {
+            scale: 1,
+            position: { x: 0, y: 0, z: 0 }
+        }).then(model => {
+            if (this.modelLoader !== modelLoader || obj.src !== modelSrc || !this.viewerObjects.includes(obj)) {
+                modelLoader.unloadModel(model);
+                return;
+            }
+            if (obj.model) {
+                modelLoader.unloadModel(obj.model);
+            }
+            obj.model = model;
+            model.visible = obj.visible;
+            obj.element.bindObject(model, { usePosition: true });
+            if (obj.visible) {
+                // Only animated when replacing a model that was already framed
+                this.viewerCamera.frame(model, { animate: this.viewerCamera.framedObject !== null });
+                this.showInteractionPrompt();
+                this.prepareUSDZ();
             }
-            this.createCarousel();
         }).catch(error => {
             console.error("Error loading models:", error);
         });
+    }
 
-        // Animation loop
-        this.sceneManager.renderer.setAnimationLoop(() => {
-            this.controls.update();
-            this.sceneManager.renderer.render(
-                this.sceneManager.scene,
-                this.sceneManager.camera
-            );
+    showViewerObject(index) {
+        this.viewerObjects.forEach((obj, i) => {
+            obj.visible = i === index;
+            if (obj.model) {
+                obj.model.visible = obj.visible;
+            }
         });
+        this.currentObjectIndex = index;
+        this.updateCarouselIcons();
+        const current = this.viewerObjects[index];
+        if (current && current.model) {
+            this.viewerCamera.frame(current.model, { animate: this.viewerCamera.framedObject !== null });
+            this.prepareUSDZ();
+        }
+    }
 
-        // Create scene viewer button
-        this.createSceneViewerButton();
+    getViewerCameraOptions() {
+        const delay = parseFloat(this.getAttribute("auto-rotate-delay"));
+        return {
+            orbit: this.getAttribute("camera-orbit") || undefined,
+            target: this.getAttribute("camera-target") || undefined,
+            fieldOfView: this.getAttribute("field-of-view") || undefined,
+            minDistance: this.getAttribute("min-camera-distance") || undefined,
+            maxDistance: this.getAttribute("max-camera-distance") || undefined,
+            autoRotate: this.hasAttribute("auto-rotate") && this.getAttribute("auto-rotate") !== "false",
+            autoRotateDelay: isNaN(delay) ? AR_CONFIG.AUTO_ROTATE_DELAY : delay
+        };
+    }
+
+    // Hint shown over the viewer until the user first drags the model
+    showInteractionPrompt() {
+        if (this.interactionPrompt || this.interactionPromptDismissed || this.getAttribute("interaction-prompt") === "none") {
+            return;
+        }
+        this.interactionPrompt = document.createElement("div");
+        this.interactionPrompt.innerText = "Drag to rotate, pinch to zoom";
+        this.interactionPrompt.style.position = "absolute";
+        this.interactionPrompt.style.top = "50%";
+        this.interactionPrompt.style.left = "50%";
+        this.interactionPrompt.style.transform = "translate(-50%, -50%)";
+        this.interactionPrompt.style.padding = "8px 16px";
+        this.interactionPrompt.style.background = "rgba(0,0,0,0.5)";
+        this.interactionPrompt.style.color = "white";
+        this.interactionPrompt.style.fontFamily = "Arial, sans-serif";
+        this.interactionPrompt.style.fontSize = "14px";
+        this.interactionPrompt.style.borderRadius = "20px";
+        this.interactionPrompt.style.pointerEvents = "none";
+        this.interactionPrompt.style.transition = "opacity 0.5s";
+        this.container.appendChild(this.interactionPrompt);
+    }
+
+    hideInteractionPrompt() {
+        this.interactionPromptDismissed = true;
+        if (this.interactionPrompt) {
+            const prompt = this.interactionPrompt;
+            this.interactionPrompt = null;
+            prompt.style.opacity = "0";
+            setTimeout(() => prompt.remove(), 500);
+        }
     }
 
     createCarousel() {
+        if (this.carousel) {
+            this.carousel.remove();
+            this.carousel = null;
+        }
         if (this.viewerObjects.length <= 1) return;
 
-        const carousel = document.createElement("div");
+        const carousel = this.createCarouselElement(
+            this.viewerObjects.map(obj => obj.icon),
+            this.currentObjectIndex,
+            (index) => this.showViewerObject(index)
+        );
         carousel.style.position = "absolute";
         carousel.style.bottom = "20px";
         carousel.style.left = "50%";
         carousel.style.transform = "translateX(-50%)";
+        carousel.style.zIndex = "1000";
+
+        this.container.appendChild(carousel);
+        this.carousel = carousel;
+    }
+
+    createCarouselElement(icons, activeIndex, onSelect) {
+        const carousel = document.createElement("div");
         carousel.style.display = "flex";
         carousel.style.gap = "10px";
         carousel.style.padding = "10px";
         carousel.style.background = "rgba(0,0,0,0.5)";
         carousel.style.borderRadius = "20px";
-        carousel.style.zIndex = "1000";
 
-        this.viewerObjects.forEach((obj, index) => {
+        icons.forEach((iconSrc, index) => {
             const icon = document.createElement("img");
-            icon.src = obj.icon || "default-icon.png";
+            icon.src = iconSrc || "default-icon.png";
             icon.style.width = "40px";
             icon.style.height = "40px";
             icon.style.borderRadius = "50%";
             icon.style.cursor = "pointer";
-            icon.style.opacity = obj.visible ? "1" : "0.5";
+            icon.style.opacity = index === activeIndex ? "1" : "0.5";
             icon.style.transition = "opacity 0.3s";
             icon.style.objectFit = "cover";
 
-            icon.addEventListener("click", () => {
-                this.viewerObjects.forEach(o => {
-                    o.model.visible = false;
-                    o.visible = false;
-                });
-                obj.model.visible = true;
-                obj.visible = true;
-                this.currentObjectIndex = index;
-                this.updateCarouselIcons();
-            });
+            icon.addEventListener("click", () => onSelect(index));
 
             carousel.appendChild(icon);
         });
-
-        this.container.appendChild(carousel);
-        this.carousel = carousel;
+        return carousel;
     }
 
-    updateCarouselIcons() {
-        if (!this.carousel) return;
-        const icons = this.carousel.querySelectorAll("img");
+    updateCarouselIcons(carousel = this.carousel, activeIndex = this.currentObjectIndex) {
+        if (!carousel) return;
+        const icons = carousel.querySelectorAll("img");
         icons.forEach((icon, index) => {
-            icon.style.opacity = index === this.currentObjectIndex ? "1" : "0.5";
+            icon.style.opacity = index === activeIndex ? "1" : "0.5";
         });
     }
 
@@ -759,26 +5497,16 @@ class KitCoreWebAR extends HTMLElement {
             return; // Don't create the integrated button if a custom one exists
         }
 
-        // Don't create the button if AR is disabled
-        if (!this.arEnabled) {
+        // Don't create the button if AR is disabled or the device has no native AR viewer
+        if (!this.arEnabled || !this.hasNativeAR()) {
             return;
         }
 
-        const isIOS = (
-            /iPad|iPhone|iPod/.test(navigator.userAgent) ||
-            (navigator.platform === "MacIntel" && navigator.maxTouchPoints > 1) ||
-            (navigator.userAgentData && navigator.userAgentData.platform === "iOS")
-        );
-        const modelSrc = objectElem.getAttribute("src");
-        const usdzSrc = objectElem.getAttribute("usdz");
-        if (!modelSrc) {
+        // Without a usdz file, iOS gets one generated from the loaded model
+        if (!objectElem.getAttribute("src")) {
             console.error("Attribute 'src' not defined in <kitcore-webar-object>.");
             return;
         }
-        if (isIOS && !usdzSrc) {
-            console.error("Attribute 'usdz' not defined in <kitcore-webar-object>.");
-            return;
-        }
 
         // Create button container
         this.arButton = document.createElement("div");
@@ -811,39 +5539,183 @@ class KitCoreWebAR extends HTMLElement {
         this.arButton.appendChild(text);
 
         // Add click event
-        this.arButton.addEventListener("click", () =>
-            this.openSceneViewer(modelSrc, usdzSrc)
-        );
+        this.arButton.addEventListener("click", () => this.openNativeAR());
 
         this.container.appendChild(this.arButton);
     }
 
-    openSceneViewer(modelSrc, usdzSrc) {
-        const isIOS = (
+    refreshSceneViewerButton() {
+        if (this.arButton) {
+            this.arButton.remove();
+            this.arButton = null;
+        }
+        this.createSceneViewerButton();
+    }
+
+    isIOS() {
+        return (
             /iPad|iPhone|iPod/.test(navigator.userAgent) ||
             (navigator.platform === "MacIntel" && navigator.maxTouchPoints > 1) ||
             (navigator.userAgentData && navigator.userAgentData.platform === "iOS")
         );
-        if (isIOS && usdzSrc) {
-            // Open the model in Quick Look
-            const anchor = document.createElement("a");
-            anchor.setAttribute("rel", "ar");
-            anchor.setAttribute("href", usdzSrc);
-            anchor.click();
+    }
+
+    getActiveViewerObject() {
+        return (this.viewerObjects || [])[this.currentObjectIndex] || null;
+    }
+
+    // Opens the model shown in the viewer (the selected carousel item) in Quick Look or Scene Viewer
+    openNativeAR() {
+        const obj = this.getActiveViewerObject();
+        const objectElem = obj ? obj.element : this.querySelector("kitcore-webar-object");
+        if (!objectElem) {
+            console.error("Couldn't find element <kitcore-webar-object>.");
+            return Promise.resolve();
+        }
+        const modelSrc = objectElem.getAttribute("src");
+        const usdzSrc = objectElem.getAttribute("usdz");
+        if (!modelSrc) {
+            console.error("Attribute 'src' not defined in <kitcore-webar-object>.");
+            return Promise.resolve();
+        }
+        if (!this.hasNativeAR()) {
+            console.error("Scene Viewer and Quick Look are not available on this device.");
+            return Promise.resolve();
+        }
+        if (!this.isIOS()) {
+            this.openSceneViewer(modelSrc, objectElem);
+            return Promise.resolve();
+        }
+        if (usdzSrc) {
+            this.openQuickLook(usdzSrc, objectElem);
+            return Promise.resolve();
+        }
+        if (!obj || !obj.model || !this.usdzGenerator) {
+            console.error("Couldn't generate a USDZ file before the model is loaded.");
+            return Promise.resolve();
+        }
+        return this.usdzGenerator.generate(obj.model)
+            .then(url => this.openQuickLook(url, objectElem))
+            .catch(error => console.error("Couldn't generate USDZ file:", error));
+    }
+
+    // Starts converting the shown model on iOS so the AR button opens Quick Look without waiting
+    prepareUSDZ() {
+        const obj = this.getActiveViewerObject();
+        if (!this.usdzGenerator || !this.arEnabled || !this.isIOS() || !obj || !obj.model || obj.element.getAttribute("usdz")) {
+            return;
+        }
+        this.usdzGenerator.generate(obj.model).catch(error => console.error("Couldn't generate USDZ file:", error));
+    }
+
+    // Launch options set on a <kitcore-webar-object> override the ones of <kitcore-webar>
+    getNativeAROption(objectElem, name) {
+        return objectElem.getAttribute(name) || this.getAttribute(name);
+    }
+
+    static toQuery(params) {
+        return Object.entries(params)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+            .join("&");
+    }
+
+    openSceneViewer(modelSrc, objectElem) {
+        const option = name => this.getNativeAROption(objectElem, name);
+        let mode = option("scene-viewer-mode") || "ar_preferred";
+        if (!SCENE_VIEWER_MODES.includes(mode)) {
+            console.error(`Invalid 'scene-viewer-mode' attribute: "${mode}". Expected one of ${SCENE_VIEWER_MODES.join(", ")}.`);
+            mode = "ar_preferred";
+        }
+        const link = option("ar-link");
+        const sound = option("ar-sound");
+        const query = KitCoreWebAR.toQuery({
+            file: ModelLoader.resolveUrl(modelSrc),
+            mode,
+            title: option("ar-title"),
+            link: link && ModelLoader.resolveUrl(link),
+            sound: sound && ModelLoader.resolveUrl(sound),
+            resizable: option("ar-scale") === "fixed" ? "false" : null,
+            enable_vertical_placement: option("ar-placement") === "wall" ? "true" : null
+        });
+        // Opened when Scene Viewer is not installed, the current page by default
+        const fallbackUrl = ModelLoader.resolveUrl(option("fallback-url") || window.location.href);
+        // Only the Google app can show the 3D viewer, AR-only launches go straight to ARCore
+        const packageName = mode === "ar_only" ? "com.google.ar.core" : "com.google.android.googlequicksearchbox";
+        window.location.href = `intent://arvr.google.com/scene-viewer/1.0?${query}#Intent;scheme=https;` +
+            `package=${packageName};action=android.intent.action.VIEW;` +
+            `S.browser_fallback_url=${encodeURIComponent(fallbackUrl)};end;`;
+    }
+
+    openQuickLook(usdzSrc, objectElem) {
+        const option = name => this.getNativeAROption(objectElem, name);
+        const canonicalUrl = option("canonical-url");
+        const params = {
+            allowsContentScaling: option("ar-scale") === "fixed" ? "0" : null,
+            canonicalWebPageURL: canonicalUrl && ModelLoader.resolveUrl(canonicalUrl)
+        };
+        // A custom HTML banner replaces the built-in Apple Pay or call-to-action one
+        const customBanner = option("custom-banner");
+        if (customBanner) {
+            params.custom = ModelLoader.resolveUrl(customBanner);
+            params.customHeight = option("custom-banner-height");
+        } else if (option("apple-pay-button") || option("call-to-action")) {
+            params.applePayButtonType = option("apple-pay-button");
+            params.callToAction = params.applePayButtonType ? null : option("call-to-action");
+            params.checkoutTitle = option("checkout-title");
+            params.checkoutSubtitle = option("checkout-subtitle");
+            params.price = option("price");
+        }
+        const query = KitCoreWebAR.toQuery(params);
+        const anchor = this.getQuickLookAnchor();
+        anchor.setAttribute("href", ModelLoader.resolveUrl(usdzSrc) + (query ? `#${query}` : ""));
+        if (usdzSrc.startsWith("blob:")) {
+            anchor.setAttribute("download", "model.usdz");
         } else {
-            // Open the model in Google Scene Viewer
-            window.location.href = `intent://arvr.google.com/scene-viewer/1.0?file=${modelSrc}#Intent;scheme=https;package=com.google.android.googlequicksearchbox;end;`;
+            anchor.removeAttribute("download");
+        }
+        this.quickLookModel = { src: objectElem.getAttribute("src"), usdz: usdzSrc, element: objectElem };
+        anchor.click();
+    }
+
+    // Quick Look only opens anchors wrapping an image, and reports banner taps to the same anchor
+    getQuickLookAnchor() {
+        if (!this.quickLookAnchor) {
+            this.quickLookAnchor = document.createElement("a");
+            this.quickLookAnchor.setAttribute("rel", "ar");
+            this.quickLookAnchor.style.display = "none";
+            this.quickLookAnchor.appendChild(document.createElement("img"));
+            this.quickLookAnchor.addEventListener("message", (event) => {
+                if (event.data === "_apple_ar_quicklook_button_tapped" && this.quickLookModel) {
+                    this.emit(EVENTS.QUICK_LOOK_BANNER_TAPPED, this.quickLookModel);
+                }
+            });
+            this.shadowRoot.appendChild(this.quickLookAnchor);
         }
+        return this.quickLookAnchor;
     }
 }
 
+customElements.define("kitcore-webar-hotspot", KitCoreWebARHotspot);
+customElements.define("kitcore-webar-marker", KitCoreWebARMarker);
+customElements.define("kitcore-webar-object", KitCoreWebARObject);
 customElements.define("kitcore-webar", KitCoreWebAR);
 
 export {
     KitCoreWebAR,
+    KitCoreWebARObject,
+    KitCoreWebARHotspot,
+    KitCoreWebARMarker,
     SceneManager,
     ModelLoader,
+    USDZGenerator,
+    AnimationController,
+    MaterialController,
     GeolocationManager,
+    SpatialIndex,
+    GestureController,
     MODES,
+    EVENTS,
+    AR_STATUS,
     AR_CONFIG,
 };